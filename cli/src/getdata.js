@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/*! YB race data downloader
+ * Downloads RaceSetup, leaderboard and the binary track data AllPositions3 of
+ * a race from the YB server and decodes them into JSON files (RaceSetup.json,
+ * leaderboard.json, AllPositions3.json). Existing files are renamed to
+ * <file>.bak before they are overwritten.
+ *
+ * Usage: ./getdata.js [options] <race>
+ *        ./getdata.js [options] --offline <AllPositions3>
+ *
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('../..');
+
+const DEFAULT_SERVER = 'https://cf.yb.tl';
+
+// Command line argument parsing
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const opts = {
+        server: DEFAULT_SERVER,
+        dir: '.',
+        retries: 3,
+        delay: 1000,
+        offline: null
+    };
+
+    // Extract options, the remaining arguments are positional. If an option
+    // is given more than once, the last one is used.
+    for (const opt of ['server', 'dir', 'retries', 'delay', 'offline']) {
+        for (let i; (i = args.indexOf('--' + opt)) !== -1;) {
+            opts[opt] = args[i + 1];
+            args.splice(i, 2);
+        }
+    }
+    opts.retries = parseInt(opts.retries);
+    opts.delay = parseInt(opts.delay);
+
+    const valid = opts.offline ? args.length === 0 : args.length === 1;
+    if (!valid || !opts.server || !opts.dir || opts.offline === undefined || isNaN(opts.retries) || isNaN(opts.delay)) {
+        console.error('Usage: ./getdata.js [options] <race>');
+        console.error('       ./getdata.js [options] --offline <AllPositions3>');
+        console.error('');
+        console.error('Arguments:');
+        console.error('  race                - Race id, e.g. transpac2025_return');
+        console.error('');
+        console.error('Options:');
+        console.error(`  --server <url>      - YB server (default: ${DEFAULT_SERVER})`);
+        console.error('  --dir <dir>         - Output directory (default: current directory)');
+        console.error('  --retries <n>       - Number of retries of failed downloads (default: 3)');
+        console.error('  --delay <ms>        - Delay before the first retry, doubled on each retry (default: 1000)');
+        console.error('  --offline <file>    - Decode an already downloaded AllPositions3 file, no download');
+        process.exit(1);
+    }
+
+    opts.race = args[0];
+    return opts;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Fetch a URL and return its contents as Buffer. Network errors and server
+// errors (5xx) are retried, other HTTP errors fail immediately.
+async function fetchRetry(url, retries = 3, delay = 1000) {
+    for (let n = 0; ; n++) {
+        let error;
+        try {
+            const res = await fetch(url);
+            if (res.ok) {
+                return Buffer.from(await res.arrayBuffer());
+            }
+            error = new Error(`HTTP ${res.status} ${res.statusText}`);
+            error.retry = res.status >= 500;
+        } catch (e) {
+            error = e;
+            error.retry = true;
+        }
+
+        if (!error.retry || n >= retries) {
+            throw new Error(`Error fetching ${url}: ${error.message}`);
+        }
+        console.error(`Error fetching ${url}: ${error.message}, retrying (${n + 1}/${retries})...`);
+        await sleep(delay * 2 ** n);
+    }
+}
+
+// Write a file, an existing file is renamed to <file>.bak before
+function writeBackup(filename, data) {
+    if (fs.existsSync(filename)) {
+        fs.renameSync(filename, filename + '.bak');
+    }
+    fs.writeFileSync(filename, data);
+}
+
+// Decode the binary track data into JSON
+function decodePositions(bin) {
+    return JSON.stringify(parse(bin), null, 3) + '\n';
+}
+
+// Pretty print JSON data
+function beautify(buf) {
+    return JSON.stringify(JSON.parse(buf.toString('utf8')), null, 2) + '\n';
+}
+
+// Download and decode all data of a race into the directory dir. The files
+// are written only after all downloads succeeded.
+async function getData(race, opts = {}) {
+    const server = (opts.server || DEFAULT_SERVER).replace(/\/+$/, '');
+    const dir = opts.dir || '.';
+    const retries = opts.retries !== undefined ? opts.retries : 3;
+    const delay = opts.delay !== undefined ? opts.delay : 1000;
+
+    const files = [
+        { name: 'RaceSetup', url: `${server}/JSON/${race}/RaceSetup`, json: beautify },
+        { name: 'leaderboard', url: `${server}/JSON/${race}/leaderboard`, json: beautify },
+        { name: 'AllPositions3', url: `${server}/BIN/${race}/AllPositions3`, json: decodePositions }
+    ];
+
+    for (const f of files) {
+        console.log(`Downloading ${f.url}`);
+        f.data = await fetchRetry(f.url, retries, delay);
+        f.text = f.json(f.data);
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    for (const f of files) {
+        writeBackup(path.join(dir, f.name), f.data);
+        writeBackup(path.join(dir, f.name + '.json'), f.text);
+        console.log(`Written ${path.join(dir, f.name + '.json')}`);
+    }
+}
+
+// Decode an already downloaded binary file into AllPositions3.json
+function decodeFile(filename, dir = '.') {
+    const text = decodePositions(fs.readFileSync(filename));
+    const outfile = path.join(dir, 'AllPositions3.json');
+    fs.mkdirSync(dir, { recursive: true });
+    writeBackup(outfile, text);
+    console.log(`Written ${outfile}`);
+}
+
+async function main() {
+    const opts = parseArgs();
+
+    try {
+        if (opts.offline) {
+            decodeFile(opts.offline, opts.dir);
+        } else {
+            await getData(opts.race, opts);
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { fetchRetry, writeBackup, decodePositions, getData, decodeFile };
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+
+/*! JSON to GeoJSON Converter
+ * Converts AllPositions3.json race data and the RaceSetup into a GeoJSON
+ * FeatureCollection for GIS tools like QGIS, and imports such a
+ * FeatureCollection back. The collection contains one LineString per boat with
+ * the times of the vertices (coordTimes), the course, and the POIs of the
+ * RaceSetup as points, lines, and polygons. The kind of each feature is stored
+ * in the property "kind" (track, course, poi).
+ *
+ * Usage: ./json2geojson.js <positions.json> <racesetup.json> [--class <name>] [output.geojson]
+ *        ./json2geojson.js --import <input.geojson> <positions.json> <racesetup.json>
+ *
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const fs = require('fs');
+const { readJsonFile, timestampToISO, filterClass } = require('./json2gpx');
+const { poiNodes } = require('./json2kml');
+
+//! properties of the teams which are exported and imported
+const TEAM_PROPERTIES = ['name', 'owner', 'model', 'sail', 'status', 'colour'];
+
+// Command line argument parsing
+function parseArgs() {
+    const args = process.argv.slice(2);
+    let className = null;
+    let importFile = null;
+
+    // Extract options, the remaining arguments are positional
+    let i = args.indexOf('--class');
+    if (i !== -1) {
+        className = args[i + 1];
+        args.splice(i, 2);
+    }
+    i = args.indexOf('--import');
+    if (i !== -1) {
+        importFile = args[i + 1];
+        args.splice(i, 2);
+    }
+
+    const valid = importFile ? args.length === 2 && !className : args.length >= 2;
+    if (!valid || className === undefined || importFile === undefined) {
+        console.error('Usage: ./json2geojson.js <positions.json> <racesetup.json> [--class <name>] [output.geojson]');
+        console.error('       ./json2geojson.js --import <input.geojson> <positions.json> <racesetup.json>');
+        console.error('');
+        console.error('Arguments:');
+        console.error('  positions.json  - AllPositions3.json file');
+        console.error('  racesetup.json  - RaceSetup.json file');
+        console.error('  output.geojson  - Output GeoJSON file (default: race_tracks.geojson)');
+        console.error('');
+        console.error('Options:');
+        console.error('  --class <name>  - Export only boats of this class (name or tag id)');
+        console.error('  --import <file> - Import a GeoJSON FeatureCollection into positions.json and');
+        console.error('                    racesetup.json, an existing RaceSetup is updated');
+        process.exit(1);
+    }
+
+    return {
+        positionsFile: args[0],
+        raceSetupFile: args[1],
+        outputFile: args[2] || 'race_tracks.geojson',
+        className: className,
+        importFile: importFile
+    };
+}
+
+// Convert positions {lat, lon} into GeoJSON coordinates
+function coords(nodes) {
+    return nodes.map(n => [n.lon, n.lat]);
+}
+
+// Generate the GeoJSON FeatureCollection
+function generateGeoJSON(positions, raceSetup) {
+    const teams = {};
+    (raceSetup.teams || []).forEach(team => {
+        teams[team.id] = team;
+    });
+
+    const features = [];
+
+    positions.forEach(boat => {
+        // chronological order, oldest first
+        const moments = boat.moments.slice().sort((a, b) => a.at - b.at);
+        const properties = { kind: 'track', id: boat.id };
+        TEAM_PROPERTIES.forEach(key => {
+            if (teams[boat.id] && teams[boat.id][key] !== undefined) {
+                properties[key] = teams[boat.id][key];
+            }
+        });
+        properties.coordTimes = moments.map(m => timestampToISO(m.at));
+        features.push({ type: 'Feature', properties: properties, geometry: { type: 'LineString', coordinates: coords(moments) } });
+    });
+
+    const course = raceSetup.course && raceSetup.course.nodes;
+    if (course && course.length >= 2) {
+        // names and rounding sides of the course marks
+        const marks = course.map((n, index) => ({ index: index, name: n.name, rounding: n.rounding }))
+            .filter(m => m.name !== undefined || m.rounding !== undefined);
+        const properties = { kind: 'course', name: 'Course' };
+        if (marks.length) {
+            properties.marks = marks;
+        }
+        features.push({ type: 'Feature', properties: properties, geometry: { type: 'LineString', coordinates: coords(course) } });
+    }
+
+    const lines = raceSetup.poi && Array.isArray(raceSetup.poi.lines) ? raceSetup.poi.lines : [];
+    lines.forEach(line => {
+        const nodes = poiNodes(line);
+        if (!nodes.length) {
+            return;
+        }
+        let geometry;
+        if (nodes.length === 1) {
+            geometry = { type: 'Point', coordinates: coords(nodes)[0] };
+        } else if (line.polygon && nodes.length > 3) {
+            geometry = { type: 'Polygon', coordinates: [coords(nodes)] };
+        } else {
+            geometry = { type: 'LineString', coordinates: coords(nodes) };
+        }
+        // all fields of the POI except the nodes, e.g. protrude and icon, are
+        // kept for the import
+        const properties = { kind: 'poi', name: line.name, colour: line.colour };
+        Object.keys(line).forEach(key => {
+            if (key !== 'nodes' && properties[key] === undefined) {
+                properties[key] = line[key];
+            }
+        });
+        features.push({ type: 'Feature', properties: properties, geometry: geometry });
+    });
+
+    return { type: 'FeatureCollection', features: features };
+}
+
+// Split a geometry into its parts, multi geometries are split into single
+// ones. Returns an array of {type, coordinates}.
+function geometryParts(geometry) {
+    if (!geometry) {
+        return [];
+    }
+    switch (geometry.type) {
+        case 'MultiPoint':
+        case 'MultiLineString':
+        case 'MultiPolygon':
+            return geometry.coordinates.map(c => ({ type: geometry.type.substr(5), coordinates: c }));
+        case 'GeometryCollection':
+            return geometry.geometries.flatMap(geometryParts);
+        default:
+            return [geometry];
+    }
+}
+
+// Convert GeoJSON coordinates [lon, lat] into positions {lat, lon}
+function toNodes(coordinates) {
+    return coordinates.map(c => ({ lat: c[1], lon: c[0] }));
+}
+
+// Import a GeoJSON FeatureCollection into the AllPositions3 and RaceSetup
+// structures. Features without property "kind" are tracks if they have
+// coordTimes, otherwise POIs. The course, the POIs and the teams of the
+// RaceSetup raceSetup are replaced or updated, the course and the POIs only if
+// the collection contains them. The properties of the POIs except kind are
+// the fields of the POIs.
+// Returns an object {positions, raceSetup}.
+function importGeoJSON(collection, raceSetup = {}) {
+    if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+        throw new Error('not a GeoJSON FeatureCollection');
+    }
+
+    const result = [];
+    const lines = [];
+    let pois = false;
+    const teams = Array.isArray(raceSetup.teams) ? raceSetup.teams : [];
+    let nextId = teams.reduce((n, team) => Math.max(n, parseInt(team.id) || 0), 0) + 1;
+
+    collection.features.forEach(feature => {
+        const properties = feature.properties || {};
+        const kind = properties.kind || (Array.isArray(properties.coordTimes) ? 'track' : 'poi');
+        const id = kind === 'track' && properties.id === undefined ? nextId++ : properties.id;
+
+        geometryParts(feature.geometry).forEach((geometry, k) => {
+            if (kind === 'track' && geometry.type === 'LineString') {
+                // the times of a MultiLineString are an array per line
+                const coordTimes = properties.coordTimes || [];
+                const times = Array.isArray(coordTimes[0]) ? coordTimes[k] || [] : coordTimes;
+                const moments = toNodes(geometry.coordinates)
+                    .map((p, i) => ({ lat: p.lat, lon: p.lon, at: Math.floor(Date.parse(times[i]) / 1000) }))
+                    .filter(m => !isNaN(m.at));
+
+                let boat = result.find(b => b.id == id);
+                if (!boat) {
+                    result.push(boat = { id: id, moments: [] });
+                }
+                boat.moments = boat.moments.concat(moments).sort((a, b) => b.at - a.at);
+
+                let team = teams.find(t => t.id == id);
+                if (!team) {
+                    teams.push(team = { id: id });
+                }
+                TEAM_PROPERTIES.forEach(key => {
+                    if (properties[key] !== undefined) {
+                        team[key] = properties[key];
+                    }
+                });
+            } else if (kind === 'course' && geometry.type === 'LineString') {
+                const nodes = toNodes(geometry.coordinates);
+                (properties.marks || []).forEach(m => {
+                    if (nodes[m.index]) {
+                        Object.assign(nodes[m.index], m.name !== undefined ? { name: m.name } : {}, m.rounding !== undefined ? { rounding: m.rounding } : {});
+                    }
+                });
+                raceSetup.course = Object.assign({}, raceSetup.course, { nodes: nodes });
+            } else if (kind === 'poi') {
+                pois = true;
+                let nodes;
+                if (geometry.type === 'Point') {
+                    nodes = toNodes([geometry.coordinates]);
+                } else if (geometry.type === 'LineString') {
+                    nodes = toNodes(geometry.coordinates);
+                    // a closed line of a small polygon, the closing node is
+                    // added again by gen_poi0()
+                    const last = nodes[nodes.length - 1];
+                    if (properties.polygon && nodes.length > 2 && nodes[0].lat === last.lat && nodes[0].lon === last.lon) {
+                        nodes.pop();
+                    }
+                } else if (geometry.type === 'Polygon') {
+                    // outer ring only, the closing node is added again by gen_poi0()
+                    nodes = toNodes(geometry.coordinates[0]).slice(0, -1);
+                } else {
+                    return;
+                }
+                const line = Object.assign({}, properties, {
+                    colour: properties.colour || 'ff0000',
+                    nodes: nodes.map(n => `${n.lat},${n.lon}`).join(','),
+                    // small polygons are exported as LineString
+                    polygon: properties.polygon !== undefined ? properties.polygon : geometry.type === 'Polygon',
+                    alpha: properties.alpha !== undefined ? properties.alpha : 0.1,
+                    name: properties.name !== undefined ? properties.name : ''
+                });
+                delete line.kind;
+                lines.push(line);
+            }
+        });
+    });
+
+    raceSetup.teams = teams;
+    if (pois) {
+        raceSetup.poi = Object.assign({}, raceSetup.poi, { lines: lines });
+    }
+    return { positions: result, raceSetup: raceSetup };
+}
+
+// Write a file, errors are fatal
+function writeFile(filename, data) {
+    try {
+        fs.writeFileSync(filename, data, 'utf8');
+        console.log(`Successfully created: ${filename}`);
+    } catch (error) {
+        console.error(`Error writing output file: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Main function
+function main() {
+    const args = parseArgs();
+
+    if (args.importFile) {
+        console.log(`Reading features from: ${args.importFile}`);
+        const collection = readJsonFile(args.importFile);
+        const raceSetup = fs.existsSync(args.raceSetupFile) ? readJsonFile(args.raceSetupFile) : {};
+
+        let data;
+        try {
+            data = importGeoJSON(collection, raceSetup);
+        } catch (error) {
+            console.error(`Error importing ${args.importFile}: ${error.message}`);
+            process.exit(1);
+        }
+
+        writeFile(args.positionsFile, JSON.stringify(data.positions, null, 3) + '\n');
+        writeFile(args.raceSetupFile, JSON.stringify(data.raceSetup, null, 2) + '\n');
+        const lines = data.raceSetup.poi && Array.isArray(data.raceSetup.poi.lines) ? data.raceSetup.poi.lines : [];
+        console.log(`Imported ${data.positions.length} tracks, the RaceSetup has ${lines.length} POIs`);
+        return;
+    }
+
+    console.log(`Reading positions from: ${args.positionsFile}`);
+    let positions = readJsonFile(args.positionsFile);
+
+    console.log(`Reading race setup from: ${args.raceSetupFile}`);
+    const raceSetup = readJsonFile(args.raceSetupFile);
+
+    positions = filterClass(positions, raceSetup, args.className);
+
+    console.log(`Converting ${positions.length} boats to GeoJSON format...`);
+    const collection = generateGeoJSON(positions, raceSetup);
+    writeFile(args.outputFile, JSON.stringify(collection) + '\n');
+    console.log(`Generated ${collection.features.length} features`);
+}
+
+// Run the converter
+if (require.main === module) {
+    main();
+}
+
+module.exports = { generateGeoJSON, importGeoJSON };
@@ -4,7 +4,7 @@
  * Converts AllPositions3.json race data to GPX format.
  * Each boat (identified by ID) becomes a separate track in the GPX file.
  * 
- * Usage: ./json2gpx.js <positions.json> <racesetup.json> [output.gpx]
+ * Usage: ./json2gpx.js <positions.json> <racesetup.json> [--class <name>] [output.gpx]
  * 
  * \author Based on decyb project by Bernhard R. Fischer
  * \date 2025/07/23
@@ -12,28 +12,101 @@
 
 const fs = require('fs');
 const path = require('path');
+const { RaceMath } = require('../..');
 
 // Command line argument parsing
 function parseArgs() {
     const args = process.argv.slice(2);
+    let className = null;
+
+    // Extract options, the remaining arguments are positional
+    const i = args.indexOf('--class');
+    if (i !== -1) {
+        className = args[i + 1];
+        args.splice(i, 2);
+    }
     
-    if (args.length < 2) {
-        console.error('Usage: ./json2gpx.js <positions.json> <racesetup.json> [output.gpx]');
+    if (args.length < 2 || className === undefined) {
+        console.error('Usage: ./json2gpx.js <positions.json> <racesetup.json> [--class <name>] [output.gpx]');
         console.error('');
         console.error('Arguments:');
         console.error('  positions.json  - AllPositions3.json file');
         console.error('  racesetup.json  - RaceSetup.json file');
         console.error('  output.gpx      - Output GPX file (default: race_tracks.gpx)');
+        console.error('');
+        console.error('Options:');
+        console.error('  --class <name>  - Export only boats of this class (name or tag id)');
         process.exit(1);
     }
     
     return {
         positionsFile: args[0],
         raceSetupFile: args[1],
-        outputFile: args[2] || 'race_tracks.gpx'
+        outputFile: args[2] || 'race_tracks.gpx',
+        className: className
     };
 }
 
+// Group boats into classes by their tags (see RaceMath.classes()),
+// returns a mapping of boat ID to the list of classes
+function boatClasses(raceSetup) {
+    const classes = {};
+    if (raceSetup.teams) {
+        RaceMath.classes(raceSetup).forEach(cls => {
+            cls.teams.forEach(id => {
+                (classes[id] = classes[id] || []).push(cls);
+            });
+        });
+    }
+    return classes;
+}
+
+// Filter boats by class name or tag id
+function filterClass(positions, raceSetup, className) {
+    if (!className) {
+        return positions;
+    }
+
+    const classes = boatClasses(raceSetup);
+    const filtered = positions.filter(boat =>
+        (classes[boat.id] || []).some(cls => cls.name === className || String(cls.id) === className));
+
+    if (filtered.length === 0) {
+        const names = raceSetup.teams ? RaceMath.classes(raceSetup).map(cls => cls.name) : [];
+        console.error(`No boats found in class "${className}", available classes: ${names.join(', ')}`);
+        process.exit(1);
+    }
+    return filtered;
+}
+
+// Calculate the VMG and the cross-track error of each track point relative to
+// the race course (see RaceMath.calc_dtf()). The original dtf values of the
+// track points are kept.
+function addCourseData(positions, raceSetup) {
+    const course = raceSetup.course && raceSetup.course.nodes;
+    if (!course || course.length < 2) {
+        return;
+    }
+
+    RaceMath.calc_course(course);
+    positions.forEach(boat => {
+        // RaceMath expects the moments in descending time order
+        const moments = boat.moments
+            .map(moment => ({ lat: moment.lat, lon: moment.lon, at: moment.at, moment: moment }))
+            .sort((a, b) => b.at - a.at);
+        RaceMath.calc_dtf(moments, course);
+        RaceMath.calc_vmg(moments);
+        moments.forEach(m => {
+            if (m.vmg !== undefined) {
+                m.moment.vmg = m.vmg;
+            }
+            if (m.xte !== undefined) {
+                m.moment.xte = m.xte;
+            }
+        });
+    });
+}
+
 // Read and parse JSON files
 function readJsonFile(filename) {
     try {
@@ -82,6 +155,7 @@ function generateGPX(positions, raceSetup) {
             boatToTeam[team.id] = team;
         });
     }
+    const classes = boatClasses(raceSetup);
 
     // Convert each boat's track
     positions.forEach(boat => {
@@ -101,7 +175,12 @@ function generateGPX(positions, raceSetup) {
         gpx += `  <trk>
     <name>${escapeXml(boatName)} (${escapeXml(owner)})</name>
     <desc>${escapeXml(desc)}</desc>
-    <trkseg>
+`;
+        if (classes[boat.id]) {
+            gpx += `    <type>${escapeXml(classes[boat.id].map(cls => cls.name).join(', '))}</type>
+`;
+        }
+        gpx += `    <trkseg>
 `;
 
         // Add track points in chronological order (oldest first)
@@ -126,6 +205,14 @@ function generateGPX(positions, raceSetup) {
                 gpx += `
           <pc>${moment.pc}</pc>`;
             }
+            if (moment.vmg !== undefined) {
+                gpx += `
+          <vmg>${moment.vmg.toFixed(2)}</vmg>`;
+            }
+            if (moment.xte !== undefined) {
+                gpx += `
+          <xte>${moment.xte.toFixed(2)}</xte>`;
+            }
             
             gpx += `
         </extensions>
@@ -147,10 +234,13 @@ function main() {
     const args = parseArgs();
     
     console.log(`Reading positions from: ${args.positionsFile}`);
-    const positions = readJsonFile(args.positionsFile);
+    let positions = readJsonFile(args.positionsFile);
     
     console.log(`Reading race setup from: ${args.raceSetupFile}`);
     const raceSetup = readJsonFile(args.raceSetupFile);
+
+    positions = filterClass(positions, raceSetup, args.className);
+    addCourseData(positions, raceSetup);
     
     console.log(`Converting ${positions.length} boats to GPX format...`);
     
@@ -179,4 +269,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { generateGPX, readJsonFile, timestampToISO }; 
\ No newline at end of file
+module.exports = { generateGPX, readJsonFile, timestampToISO, escapeXml, boatClasses, filterClass, addCourseData }; 
\ No newline at end of file
@@ -13,6 +13,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { boatClasses, filterClass, addCourseData } = require('./json2gpx');
 
 // Command line argument parsing
 function parseArgs() {
@@ -38,6 +39,7 @@ function parseArgs() {
         console.error('  --overlay-color <color>  - Color for overlay track (default: "FF0000")');
         console.error('  --garmin-url <url>       - Download and add Garmin track as overlay');
         console.error('  --list-overlays          - List available overlay files');
+        console.error('  --class <name>           - Export only boats of this class (name or tag id)');
         process.exit(1);
     }
     
@@ -46,7 +48,8 @@ function parseArgs() {
         raceSetupFile: args[1],
         outputFile: 'race_tracks_with_overlay.gpx',
         overlays: [],
-        garminUrl: null
+        garminUrl: null,
+        className: null
     };
     
     // Parse options
@@ -77,6 +80,11 @@ function parseArgs() {
                     options.garminUrl = args[++i];
                 }
                 break;
+            case '--class':
+                if (i + 1 < args.length) {
+                    options.className = args[++i];
+                }
+                break;
             case '--list-overlays':
                 listOverlayFiles();
                 process.exit(0);
@@ -223,6 +231,7 @@ function generateGPXWithOverlays(positions, raceSetup, overlays) {
             boatToTeam[team.id] = team;
         });
     }
+    const classes = boatClasses(raceSetup);
 
     // Convert each boat's track
     positions.forEach(boat => {
@@ -242,7 +251,12 @@ function generateGPXWithOverlays(positions, raceSetup, overlays) {
         gpx += `  <trk>
     <name>${escapeXml(boatName)} (${escapeXml(owner)})</name>
     <desc>${escapeXml(desc)}</desc>
-    <trkseg>
+`;
+        if (classes[boat.id]) {
+            gpx += `    <type>${escapeXml(classes[boat.id].map(cls => cls.name).join(', '))}</type>
+`;
+        }
+        gpx += `    <trkseg>
 `;
 
         // Add track points in chronological order (oldest first)
@@ -267,6 +281,14 @@ function generateGPXWithOverlays(positions, raceSetup, overlays) {
                 gpx += `
           <pc>${moment.pc}</pc>`;
             }
+            if (moment.vmg !== undefined) {
+                gpx += `
+          <vmg>${moment.vmg.toFixed(2)}</vmg>`;
+            }
+            if (moment.xte !== undefined) {
+                gpx += `
+          <xte>${moment.xte.toFixed(2)}</xte>`;
+            }
             
             gpx += `
         </extensions>
@@ -316,10 +338,13 @@ async function main() {
     const args = parseArgs();
     
     console.log(`Reading positions from: ${args.positionsFile}`);
-    const positions = readJsonFile(args.positionsFile);
+    let positions = readJsonFile(args.positionsFile);
     
     console.log(`Reading race setup from: ${args.raceSetupFile}`);
     const raceSetup = readJsonFile(args.raceSetupFile);
+
+    positions = filterClass(positions, raceSetup, args.className);
+    addCourseData(positions, raceSetup);
     
     console.log(`Converting ${positions.length} boats to GPX format...`);
     
@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+
+/*! JSON to KML/KMZ Converter
+ * Converts AllPositions3.json race data to KML for Google Earth. Each boat
+ * becomes a time-aware track (gx:Track) in its team colour, thus the time
+ * slider of Google Earth replays the race. The file contains the course, the
+ * POIs of the RaceSetup, and placemarks at the passings of the gates and the
+ * roundings of the course marks. If the output file ends with .kmz, a zipped
+ * KMZ file is written.
+ *
+ * Usage: ./json2kml.js <positions.json> <racesetup.json> [--class <name>] [output.kml|output.kmz]
+ *
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { RaceMath, DEFAULT_GATES, calc_gates } = require('../..');
+const { readJsonFile, timestampToISO, escapeXml, filterClass } = require('./json2gpx');
+
+// Command line argument parsing
+function parseArgs() {
+    const args = process.argv.slice(2);
+    let className = null;
+
+    // Extract options, the remaining arguments are positional
+    const i = args.indexOf('--class');
+    if (i !== -1) {
+        className = args[i + 1];
+        args.splice(i, 2);
+    }
+
+    if (args.length < 2 || className === undefined) {
+        console.error('Usage: ./json2kml.js <positions.json> <racesetup.json> [--class <name>] [output.kml|output.kmz]');
+        console.error('');
+        console.error('Arguments:');
+        console.error('  positions.json  - AllPositions3.json file');
+        console.error('  racesetup.json  - RaceSetup.json file');
+        console.error('  output.kml      - Output KML file, zipped if it ends with .kmz (default: race_tracks.kmz)');
+        console.error('');
+        console.error('Options:');
+        console.error('  --class <name>  - Export only boats of this class (name or tag id)');
+        process.exit(1);
+    }
+
+    return {
+        positionsFile: args[0],
+        raceSetupFile: args[1],
+        outputFile: args[2] || 'race_tracks.kmz',
+        className: className
+    };
+}
+
+// Convert a colour "rrggbb" of the RaceSetup into the KML colour "aabbggrr",
+// alpha is the opacity 0..1
+function kmlColour(colour, alpha = 1) {
+    const c = /^#?[0-9a-fA-F]{6}$/.test(colour || '') ? colour.replace('#', '') : 'ff0000';
+    const a = Math.round(Math.min(Math.max(alpha, 0), 1) * 255).toString(16).padStart(2, '0');
+    return (a + c.substr(4, 2) + c.substr(2, 2) + c.substr(0, 2)).toLowerCase();
+}
+
+// Format positions {lat, lon} as KML coordinates
+function kmlCoords(nodes) {
+    return nodes.map(n => `${n.lon},${n.lat},0`).join(' ');
+}
+
+// Parse the nodes "lat0,lon0,lat1,lon1,..." of a POI of the RaceSetup like
+// gen_poi0() does, polygons are closed
+function poiNodes(line) {
+    if (typeof line.nodes !== 'string') {
+        return [];
+    }
+    const c = line.nodes.split(',').map(x => parseFloat(x));
+    if (c.length & 1 || c.some(x => isNaN(x))) {
+        return [];
+    }
+
+    const nodes = [];
+    for (let i = 0; i < c.length; i += 2) {
+        nodes.push({ lat: c[i], lon: c[i + 1] });
+    }
+    if (line.polygon && nodes.length > 2) {
+        nodes.push(nodes[0]);
+    }
+    return nodes;
+}
+
+// Calculate the passings of the gates and the roundings of the course marks of
+// a boat, the same as the viewer marks them on the tracks (see calc_gates()).
+// RaceMath.calc_course() has to be called on the course before.
+function boatPassings(moments, raceSetup) {
+    const gates = Array.isArray(raceSetup.gates) ? raceSetup.gates : DEFAULT_GATES;
+    const passes = calc_gates(moments, gates);
+
+    const course = raceSetup.course && raceSetup.course.nodes;
+    if (course && course.length >= 2) {
+        RaceMath.calc_roundings(moments, course).forEach(r => {
+            if (r.at !== undefined) {
+                const p = RaceMath.interpolate(moments, r.at);
+                passes.push({ name: r.name, at: r.at, lat: p.lat, lon: p.lon });
+            }
+        });
+    }
+    return passes.sort((a, b) => a.at - b.at);
+}
+
+// Generate a placemark with a time-aware track (gx:Track) of a boat
+function kmlTrack(boat, team, moments) {
+    const name = team ? (team.name || `Boat ${boat.id}`) : `Boat ${boat.id}`;
+    const desc = team ? `Boat ID: ${boat.id}, Owner: ${team.owner || 'Unknown'}, Model: ${team.model || 'Unknown'}, Sail: ${team.sail || ''}` : `Boat ID: ${boat.id}`;
+
+    let kml = `      <Placemark>
+        <name>${escapeXml(String(name))}</name>
+        <description>${escapeXml(desc)}</description>
+        <styleUrl>#boat-${boat.id}</styleUrl>
+        <gx:Track>
+`;
+    // chronological order, oldest first
+    for (let i = moments.length - 1; i >= 0; i--) {
+        kml += `          <when>${timestampToISO(moments[i].at)}</when>
+`;
+    }
+    for (let i = moments.length - 1; i >= 0; i--) {
+        kml += `          <gx:coord>${moments[i].lon} ${moments[i].lat} 0</gx:coord>
+`;
+    }
+    kml += `        </gx:Track>
+      </Placemark>
+`;
+    return kml;
+}
+
+// Generate KML XML content
+function generateKML(positions, raceSetup) {
+    const raceTitle = raceSetup.title || 'Sailing Race';
+    const teams = {};
+    (raceSetup.teams || []).forEach(team => {
+        teams[team.id] = team;
+    });
+
+    let kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <name>${escapeXml(raceTitle)}</name>
+    <description>Converted from race data using decyb-kml-converter</description>
+    <Style id="course">
+      <LineStyle><color>${kmlColour('f000f0')}</color><width>2</width></LineStyle>
+    </Style>
+`;
+
+    positions.forEach(boat => {
+        const colour = kmlColour(teams[boat.id] && teams[boat.id].colour);
+        kml += `    <Style id="boat-${boat.id}">
+      <IconStyle><color>${colour}</color><scale>0.6</scale></IconStyle>
+      <LineStyle><color>${colour}</color><width>2</width></LineStyle>
+    </Style>
+`;
+    });
+
+    // RaceMath expects the moments in descending time order
+    const moments = positions.map(boat => boat.moments
+        .map(moment => ({ lat: moment.lat, lon: moment.lon, at: moment.at }))
+        .sort((a, b) => b.at - a.at));
+
+    kml += `    <Folder>
+      <name>Tracks</name>
+`;
+    positions.forEach((boat, i) => {
+        kml += kmlTrack(boat, teams[boat.id], moments[i]);
+    });
+    kml += `    </Folder>
+`;
+
+    const course = raceSetup.course && raceSetup.course.nodes;
+    if (course && course.length >= 2) {
+        kml += `    <Placemark>
+      <name>Course</name>
+      <styleUrl>#course</styleUrl>
+      <LineString><tessellate>1</tessellate><coordinates>${kmlCoords(course)}</coordinates></LineString>
+    </Placemark>
+`;
+    }
+
+    const lines = raceSetup.poi && Array.isArray(raceSetup.poi.lines) ? raceSetup.poi.lines : [];
+    kml += `    <Folder>
+      <name>POIs</name>
+`;
+    lines.forEach(line => {
+        const nodes = poiNodes(line);
+        if (!nodes.length) {
+            return;
+        }
+        let geometry;
+        if (nodes.length === 1) {
+            geometry = `<Point><coordinates>${kmlCoords(nodes)}</coordinates></Point>`;
+        } else if (line.polygon) {
+            geometry = `<Polygon><tessellate>1</tessellate><outerBoundaryIs><LinearRing><coordinates>${kmlCoords(nodes)}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+        } else {
+            geometry = `<LineString><tessellate>1</tessellate><coordinates>${kmlCoords(nodes)}</coordinates></LineString>`;
+        }
+        kml += `      <Placemark>
+        <name>${escapeXml(String(line.name !== undefined ? line.name : ''))}</name>
+        <Style>
+          <LineStyle><color>${kmlColour(line.colour)}</color><width>2</width></LineStyle>
+          <PolyStyle><color>${kmlColour(line.colour, line.alpha !== undefined ? line.alpha : 0.3)}</color></PolyStyle>
+        </Style>
+        ${geometry}
+      </Placemark>
+`;
+    });
+    kml += `    </Folder>
+`;
+
+    kml += `    <Folder>
+      <name>Passings</name>
+`;
+    // the course is the same for all boats
+    if (course && course.length >= 2) {
+        RaceMath.calc_course(course);
+    }
+    positions.forEach((boat, i) => {
+        const team = teams[boat.id];
+        const name = team ? (team.name || `Boat ${boat.id}`) : `Boat ${boat.id}`;
+        boatPassings(moments[i], raceSetup).forEach(p => {
+            kml += `      <Placemark>
+        <name>${escapeXml(String(p.name))}</name>
+        <description>${escapeXml(String(name))}, ${timestampToISO(p.at)}</description>
+        <TimeStamp><when>${timestampToISO(p.at)}</when></TimeStamp>
+        <styleUrl>#boat-${boat.id}</styleUrl>
+        <Point><coordinates>${p.lon},${p.lat},0</coordinates></Point>
+      </Placemark>
+`;
+        });
+    });
+    kml += `    </Folder>
+  </Document>
+</kml>
+`;
+    return kml;
+}
+
+// CRC-32 of a buffer as used by ZIP
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (let i = 0; i < buf.length; i++) {
+        c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// Return the MS-DOS time and date of a ZIP entry for a local Date
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Create a ZIP archive of the files [{name, data}], the data is deflated and
+// the entries are dated with the current time
+function zip(files) {
+    const local = [];
+    const central = [];
+    const now = dosDateTime(new Date());
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+        const deflated = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);            // version needed to extract
+        header.writeUInt16LE(0x0800, 6);        // flags: UTF-8 names
+        header.writeUInt16LE(8, 8);             // compression: deflate
+        header.writeUInt16LE(now.time, 10);
+        header.writeUInt16LE(now.date, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(deflated.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(name.length, 26);
+        local.push(header, name, deflated);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 4);             // version made by
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(0x0800, 8);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt16LE(now.time, 12);
+        entry.writeUInt16LE(now.date, 14);
+        entry.writeUInt32LE(crc, 16);
+        entry.writeUInt32LE(deflated.length, 20);
+        entry.writeUInt32LE(data.length, 24);
+        entry.writeUInt16LE(name.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        central.push(entry, name);
+
+        offset += header.length + name.length + deflated.length;
+    });
+
+    const size = central.reduce((n, b) => n + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(size, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat(local.concat(central, [end]));
+}
+
+// Main function
+function main() {
+    const args = parseArgs();
+
+    console.log(`Reading positions from: ${args.positionsFile}`);
+    let positions = readJsonFile(args.positionsFile);
+
+    console.log(`Reading race setup from: ${args.raceSetupFile}`);
+    const raceSetup = readJsonFile(args.raceSetupFile);
+
+    positions = filterClass(positions, raceSetup, args.className);
+
+    console.log(`Converting ${positions.length} boats to KML format...`);
+
+    const kmlContent = generateKML(positions, raceSetup);
+
+    try {
+        if (args.outputFile.toLowerCase().endsWith('.kmz')) {
+            fs.writeFileSync(args.outputFile, zip([{ name: 'doc.kml', data: kmlContent }]));
+        } else {
+            fs.writeFileSync(args.outputFile, kmlContent, 'utf8');
+        }
+        console.log(`Successfully created: ${args.outputFile}`);
+        console.log(`Generated ${positions.length} tracks`);
+    } catch (error) {
+        console.error(`Error writing output file: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the converter
+if (require.main === module) {
+    main();
+}
+
+module.exports = { generateKML, kmlColour, poiNodes, zip, crc32 };
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/*! Local YB race server
+ * Serves the race data of a directory with the same routes as the YB server,
+ * thus the viewer can show downloaded (cli/bin/getdata) or home-made races
+ * (gpxconv) by adding the URL parameter server=http://localhost:8080.
+ *
+ *   /JSON/<race>/RaceSetup
+ *   /JSON/<race>/leaderboard
+ *   /JSON/<race>/AllPositions3.json
+ *   /BIN/<race>/AllPositions3
+ *
+ * The files are looked up in <dir>/<race>/ if this directory exists, otherwise
+ * in <dir>/ itself. The track data is encoded or decoded on the fly if only
+ * the JSON or only the binary version is available. All other paths are
+ * served from the viewer directory html/, e.g. /decyb.html?race=<race>&server=
+ *
+ * Usage: ./raceserver.js [--port <port>] <dir>
+ *
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parse, encode } = require('../..');
+
+const DEFAULT_PORT = 8080;
+const HTML_DIR = path.join(__dirname, '..', '..', 'html');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png'
+};
+
+// Command line argument parsing
+function parseArgs() {
+    const args = process.argv.slice(2);
+    let port = DEFAULT_PORT;
+
+    // Extract options, the remaining arguments are positional
+    const i = args.indexOf('--port');
+    if (i !== -1) {
+        port = parseInt(args[i + 1]);
+        args.splice(i, 2);
+    }
+
+    if (args.length !== 1 || isNaN(port)) {
+        console.error('Usage: ./raceserver.js [--port <port>] <dir>');
+        console.error('');
+        console.error('Arguments:');
+        console.error('  dir            - Directory containing the race data, or a subdirectory for each race');
+        console.error('');
+        console.error('Options:');
+        console.error(`  --port <port>  - Port to listen on (default: ${DEFAULT_PORT})`);
+        process.exit(1);
+    }
+
+    return { dir: args[0], port: port };
+}
+
+// Return the name of the first existing file of the list, or null
+function findFile(dir, names) {
+    for (const name of names) {
+        const fn = path.join(dir, name);
+        if (fs.existsSync(fn) && fs.statSync(fn).isFile()) {
+            return fn;
+        }
+    }
+    return null;
+}
+
+// Return the data directory of a race
+function raceDir(dir, race) {
+    const rdir = path.join(dir, race);
+    return fs.existsSync(rdir) && fs.statSync(rdir).isDirectory() ? rdir : dir;
+}
+
+// Return the contents of a race file {type, data} or null if it does not exist
+function raceFile(dir, kind, race, name) {
+    const rdir = raceDir(dir, race);
+    let fn;
+
+    if (kind === 'JSON' && (name === 'RaceSetup' || name === 'leaderboard')) {
+        fn = findFile(rdir, [name + '.json', name]);
+        return fn && { type: 'application/json', data: fs.readFileSync(fn) };
+    }
+
+    if (kind === 'JSON' && name === 'AllPositions3.json') {
+        if ((fn = findFile(rdir, ['AllPositions3.json']))) {
+            return { type: 'application/json', data: fs.readFileSync(fn) };
+        }
+        fn = findFile(rdir, ['AllPositions3']);
+        return fn && { type: 'application/json', data: JSON.stringify(parse(fs.readFileSync(fn))) };
+    }
+
+    if (kind === 'BIN' && name === 'AllPositions3') {
+        if ((fn = findFile(rdir, ['AllPositions3']))) {
+            return { type: 'application/octet-stream', data: fs.readFileSync(fn) };
+        }
+        fn = findFile(rdir, ['AllPositions3.json']);
+        return fn && { type: 'application/octet-stream', data: Buffer.from(encode(JSON.parse(fs.readFileSync(fn, 'utf8')))) };
+    }
+
+    return null;
+}
+
+// Return a static file of the viewer {type, data} or null
+function staticFile(pathname) {
+    const fn = path.join(HTML_DIR, path.normalize(pathname === '/' ? '/decyb.html' : pathname));
+    if (!fn.startsWith(HTML_DIR + path.sep) || !fs.existsSync(fn) || !fs.statSync(fn).isFile()) {
+        return null;
+    }
+    return { type: MIME_TYPES[path.extname(fn)] || 'application/octet-stream', data: fs.readFileSync(fn) };
+}
+
+// Create the HTTP server for the race data of the directory dir
+function createServer(dir) {
+    return http.createServer((req, res) => {
+        const headers = { 'Access-Control-Allow-Origin': '*' };
+        let file = null;
+
+        try {
+            const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+            const m = pathname.match(/^\/(JSON|BIN)\/([\w.-]+)\/([\w.]+)$/);
+
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                res.writeHead(405, headers);
+                res.end();
+                return;
+            }
+
+            file = m && m[2] !== '..' ? raceFile(dir, m[1], m[2], m[3]) : staticFile(pathname);
+        } catch (error) {
+            console.error(`${req.url}: ${error.message}`);
+            res.writeHead(500, headers);
+            res.end();
+            return;
+        }
+
+        console.log(`${req.method} ${req.url} ${file ? 200 : 404}`);
+        if (!file) {
+            res.writeHead(404, headers);
+            res.end();
+            return;
+        }
+
+        headers['Content-Type'] = file.type;
+        res.writeHead(200, headers);
+        res.end(req.method === 'HEAD' ? undefined : file.data);
+    });
+}
+
+function main() {
+    const args = parseArgs();
+
+    if (!fs.existsSync(args.dir) || !fs.statSync(args.dir).isDirectory()) {
+        console.error(`Error: ${args.dir} is not a directory`);
+        process.exit(1);
+    }
+
+    createServer(args.dir).listen(args.port, () => {
+        console.log(`Serving ${args.dir} at http://localhost:${args.port}/`);
+        console.log(`Open http://localhost:${args.port}/decyb.html?race=<race>&server= in your browser`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { createServer, raceFile };
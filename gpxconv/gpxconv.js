@@ -21,7 +21,7 @@ const proc = require("process");
 const fs_ = require("fs");
 const GpxParser = require("gpxparser");
 
-const rm_ = require("../html/racemath");
+const { CMath, RaceMath: rm_, encode } = require("..");
 const GetOpts = require("./getopts");
 
 //! parsed argument list
@@ -32,6 +32,9 @@ var fn_track;
 var fn_course;
 //! data structure which receives the track points
 var data = [{"id": 1, "moments": []}];
+//! options of cleaning the track (see RaceMath.clean_track()), dropping
+//! outliers and flagging gaps is off unless enabled by -v and -g
+var clean = {v_max: 0, gap: 0};
 //! race setup data, read from JSON file
 var setup = JSON.parse(fs_.readFileSync("./RaceSetup.template.json"));
 if (!setup.hasOwnProperty("course"))
@@ -65,7 +68,12 @@ function usage()
    const umsg =
       "usage: " + proc.argv[0] + " " + proc.argv[1] + " <track.gpx> <course.gpx> [options]\n" +
       "   options\n" +
-      "   -a .......... Calculate additional data for each trackpoint.";
+      "   -a .......... Calculate additional data for each trackpoint.\n" +
+      "   -b .......... Write binary track data AllPositions3 as well.\n" +
+      "   -d <model> .. Distance model: " + CMath.DIST_MODELS.join(", ") + " (default: " + CMath.dist_model + ").\n" +
+      "   -v <kts> .... Drop track points implying a speed above <kts> (default: off, e.g. " + rm_.CLEAN_DEFAULTS.v_max + ").\n" +
+      "   -g <hours> .. Flag gaps of the track longer than <hours> (default: off, e.g. " + rm_.CLEAN_DEFAULTS.gap / 3600 + ").\n" +
+      "   -s <method> . Smooth the track: median, kalman (default: none).";
    console.log(umsg);
    proc.exit(1);
 }
@@ -79,6 +87,17 @@ function parse_args()
    fn_course = args.getarg(1).value;
    if (fn_track === undefined || fn_course === undefined)
       usage();
+
+   var opt = args.getopt("d");
+   if (opt !== undefined && !CMath.set_dist_model(opt.value))
+      usage();
+
+   if ((opt = args.getopt("v")) !== undefined && isNaN(clean.v_max = parseFloat(opt.value)))
+      usage();
+   if ((opt = args.getopt("g")) !== undefined && isNaN(clean.gap = parseFloat(opt.value) * 3600))
+      usage();
+   if ((opt = args.getopt("s")) !== undefined && (clean.smooth = opt.value) !== "median" && clean.smooth !== "kalman")
+      usage();
 }
 
 
@@ -121,6 +140,7 @@ function read_course(name)
 parse_args();
 read_track(fn_track);
 read_course(fn_course);
+rm_.clean_track(data[0].moments, clean);
 
 setup.course.distance = rm_.calc_course(setup.course.nodes);
 
@@ -130,13 +150,19 @@ if (args.getopt("a") !== undefined)
    setup.teams[0].v_avg = data[0].moments[0].dist_tot * 3600 / setup.teams[0].t_move;
 
    rm_.calc_dtf(data[0].moments, setup.course.nodes);
+   rm_.calc_vmg(data[0].moments);
    rm_.calc_tdist(data[0].moments, 3600 * 24);
    rm_.calc_tdist(data[0].moments, 3600 * 24 * 7);
 }
 
+// the original positions of the smoothing are internal
+data[0].moments.forEach(m => delete m.raw);
+
 fs_.writeFileSync("AllPositions3.json", JSON.stringify(data));
 fs_.writeFileSync("RaceSetup.json", JSON.stringify(setup));
 fs_.writeFileSync("leaderboard.json", JSON.stringify(board));
+if (args.getopt("b") !== undefined)
+   fs_.writeFileSync("AllPositions3", Buffer.from(encode(data)));
 
 /* debug output
 for (var i = 0; i < data[0].moments.length; i++)
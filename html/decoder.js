@@ -0,0 +1,194 @@
+/*! This file contains the decoder and the encoder for the binary track data
+ * of the YB server (AllPositions3).
+ *
+ * \file decoder.js
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+
+/*! This function is the parser for the binary track data. The function is
+ * directly taken from the original YB code. The Github repository contains a
+ * completely rewritten and more readable version in C by me.
+ * @param e The binary data as ArrayBuffer or typed array (e.g. a Buffer).
+ * @return Returns an array of objects {id, moments}, one for each team. The
+ * base time of the timestamps is kept in the property base of the array, it is
+ * the default of encode().
+ */
+function parse(e)
+{
+   // Node.js Buffers (and other typed arrays) are views into an ArrayBuffer
+   var t = ArrayBuffer.isView(e) ? new DataView(e.buffer, e.byteOffset, e.byteLength) : new DataView(e);
+
+   for (var i = t.getUint8(0), a = 1 === (1 & i), s = 2 === (2 & i), n = 4 === (4 & i), r = 8 === (8 & i), o = t.getUint32(1), l = 5, c = []; l < e.byteLength;) {
+       var u = t.getUint16(l);
+       l += 2;
+       var h = t.getUint16(l),
+           d = new Array(h);
+       l += 2;
+       for (var g = void 0, v = 0; v < h; v++) {
+           var p = t.getUint8(l),
+               m = {};
+           if (128 === (128 & p)) {
+               var w = t.getUint16(l);
+               l += 2;
+               var y = t.getInt16(l);
+               l += 2;
+               var M = t.getInt16(l);
+               if (l += 2, a && (m.alt = t.getInt16(l), l += 2), s) {
+                   var f = t.getInt16(l);
+                   l += 2, m.dtf = g.dtf + f, n && (m.lap = t.getUint8(l), l++)
+               }
+               r && (m.pc = t.getInt16(l) / 32e3, l += 2), w = 32767 & w, m.lat = g.lat + y, m.lon = g.lon + M, m.at = g.at - w, r && (m.pc = g.pc + m.pc)
+           } else {
+               var T = t.getUint32(l);
+               l += 4;
+               var b = t.getInt32(l);
+               l += 4;
+               var L = t.getInt32(l);
+               if (l += 4, a && (m.alt = t.getInt16(l), l += 2), s) {
+                   var x = t.getInt32(l);
+                   l += 4, m.dtf = x, n && (m.lap = t.getUint8(l), l++)
+               }
+               r && (m.pc = t.getInt32(l) / 21e6, l += 4), m.lat = b, m.lon = L, m.at = o + T
+           }
+           d[v] = m, g = m
+       }
+       d.forEach(function(e) {
+           e.lat /= 1e5, e.lon /= 1e5
+       }), c.push({
+           id: u,
+           moments: d
+       })
+      }
+      c.base = o;
+      return c
+}
+
+
+/*! Return true if v fits into a signed 16 bit integer.
+ */
+function is_int16(v)
+{
+   return v >= -0x8000 && v <= 0x7fff;
+}
+
+
+/*! This function is the encoder for the binary track data, it is the
+ * counterpart of parse(). A moment is delta encoded to its predecessor if the
+ * time difference fits into 15 bits and the differences of all other values
+ * fit into 16 bits, otherwise it is encoded with absolute values. Thus,
+ * parse() followed by encode() reproduces the original data byte by byte.
+ * The moments have to be in descending order of time, as returned by parse().
+ * @param data Array of objects {id, moments}, one for each team.
+ * @param base Base time (unix time) of the timestamps. It defaults to the
+ * base time decoded by parse() (data.base), or to the earliest timestamp of all
+ * moments if there is none or if it is later than any moment.
+ * @return Returns the binary data as ArrayBuffer.
+ */
+function encode(data, base)
+{
+   var alt = false, dtf = false, lap = false, pc = false, size = 5, t0;
+
+   // find the fields which are present
+   data.forEach(function(team)
+   {
+      size += 4;
+      team.moments.forEach(function(m)
+      {
+         alt = alt || m.alt !== undefined;
+         dtf = dtf || m.dtf !== undefined;
+         lap = lap || m.lap !== undefined;
+         pc = pc || (m.pc !== undefined && m.pc !== null);
+         if (t0 === undefined || m.at < t0)
+            t0 = m.at;
+      });
+   });
+   if (base === undefined)
+      base = data.base !== undefined && (t0 === undefined || data.base <= t0) ? data.base : t0 || 0;
+   lap = lap && dtf;
+
+   // max. size of a moment, which is an absolute one
+   var msize = 12 + (alt ? 2 : 0) + (dtf ? 4 + (lap ? 1 : 0) : 0) + (pc ? 4 : 0);
+   data.forEach(team => size += team.moments.length * msize);
+
+   var t = new DataView(new ArrayBuffer(size)), l = 0;
+   t.setUint8(l, (alt ? 1 : 0) | (dtf ? 2 : 0) | (lap ? 4 : 0) | (pc ? 8 : 0));
+   t.setUint32(l + 1, base);
+   l += 5;
+
+   data.forEach(function(team)
+   {
+      t.setUint16(l, team.id);
+      t.setUint16(l + 2, team.moments.length);
+      l += 4;
+
+      // g is the previous moment as decoded by parse(), it is the reference of the delta
+      for (var i = 0, g; i < team.moments.length; i++)
+      {
+         var m = team.moments[i];
+         var e = {lat: Math.round(m.lat * 1e5), lon: Math.round(m.lon * 1e5), at: m.at, alt: m.alt || 0, dtf: m.dtf || 0, lap: m.lap || 0, pc: m.pc || 0};
+         var dpc = g === undefined ? 0 : Math.round((e.pc - g.pc) * 32e3);
+
+         if (g !== undefined && g.at - e.at >= 0 && g.at - e.at <= 0x7fff && is_int16(e.lat - g.lat) && is_int16(e.lon - g.lon)
+            && (!dtf || is_int16(e.dtf - g.dtf)) && (!pc || is_int16(dpc)))
+         {
+            t.setUint16(l, 0x8000 | (g.at - e.at));
+            t.setInt16(l + 2, e.lat - g.lat);
+            t.setInt16(l + 4, e.lon - g.lon);
+            l += 6;
+            if (alt)
+            {
+               t.setInt16(l, e.alt);
+               l += 2;
+            }
+            if (dtf)
+            {
+               t.setInt16(l, e.dtf - g.dtf);
+               l += 2;
+               if (lap)
+                  t.setUint8(l++, e.lap);
+            }
+            if (pc)
+            {
+               t.setInt16(l, dpc);
+               l += 2;
+               e.pc = g.pc + dpc / 32e3;
+            }
+         }
+         else
+         {
+            t.setUint32(l, e.at - base);
+            t.setInt32(l + 4, e.lat);
+            t.setInt32(l + 8, e.lon);
+            l += 12;
+            if (alt)
+            {
+               t.setInt16(l, e.alt);
+               l += 2;
+            }
+            if (dtf)
+            {
+               t.setInt32(l, e.dtf);
+               l += 4;
+               if (lap)
+                  t.setUint8(l++, e.lap);
+            }
+            if (pc)
+            {
+               t.setInt32(l, Math.round(e.pc * 21e6));
+               l += 4;
+               e.pc = Math.round(e.pc * 21e6) / 21e6;
+            }
+         }
+         g = e;
+      }
+   });
+
+   return t.buffer.slice(0, l);
+}
+
+
+// export module
+if(typeof module !== 'undefined')
+   module.exports = {parse, encode};
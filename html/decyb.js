@@ -5,7 +5,8 @@
  *
  * This file contains the code for fetching and decoding the data from the YB
  * server and it contains the code for all graphics output.
- * The calculations are done in math.js and adams.js.
+ * The calculations are done in math.js and adams.js, the binary track data is
+ * decoded in decoder.js.
  *
  * \file decyb.js
  * \author Bernhard R. Fischer <bf@abenteuerland.at>
@@ -20,20 +21,105 @@ const DEFY = 1080;
 const BUTTONW = 120;
 const BUTTONH = 25;
 const MAPSCALE = 1.0;
-var MIN_AVG = 0;
+//! zoom limits of the map
+const MINZOOM = 1;
+const MAXZOOM = 256;
+//! max scalerank of coastlines drawn at zoom level 1, this includes all
+//coastlines of coastline.js, finer ones are only drawn if zoomed in
+const SCALERANK = 6;
+//! max distance in pixels of the mouse to a track point to show its details
+const HITDIST = 8;
+//! replay speeds in seconds of race time per second
+const REPLAY_SPEEDS =
+[
+   {name: "1h/s", v: 3600},
+   {name: "6h/s", v: 21600},
+   {name: "1d/s", v: 86400}
+];
+//! dash patterns of the ETA projections based on the 24h average, 7d average, and overall VMG
+const ETA_DASHES = {t24: [8, 4], t7d: [2, 4], tvmg: [8, 4, 2, 4]};
+//! interval in seconds to move the daylight border and the night shading
+const SUN_UPDATE = 60;
+//! fill color of the night shading, the levels overlay
+const NIGHT_COLOUR = "#00003040";
+//! time window in seconds of the periods of the biggest gains in the comparison
+const GAIN_PERIOD = 24 * 3600;
+//! number of rankings over the time axis of the rankings chart
+const RANK_SAMPLES = 200;
+//! colors of the classes
+const CLASS_COLOURS = ["e6194b", "3cb44b", "ffe119", "4363d8", "f58231", "911eb4", "46f0f0", "f032e6", "bcf60c", "fabebe"];
 
 //! global dynamic settings
 var G =
 {
    mo_index: -1,
    bt_index: -1,
+   //! number of time correction factor used for the handicap (tcf1..tcf3)
+   tcf: 1,
+   //! index of the selected class within setup_.classes, -1 = all classes
+   cls: -1,
+   //! current mouse position
+   mx: 0,
+   my: 0,
+   //! state of the replay mode, t is the replay time, t0/t1 the time range
+   replay: {t: undefined, t0: 0, t1: 0, playing: 0, speed: 0, ts: undefined},
+   //! time of the daylight border and the night shading of the map (see update_sun())
+   sun: undefined,
+   //! zoom and pan of the map, m is the transformation matrix of the map
+   map: {zoom: 1, x: 0, y: 0, w: DEFX, h: DEFY, m: undefined, drag: undefined, dragged: 0},
+   //! screen coordinates of the drawn track points, and the hovered one
+   hit: [],
+   //! event coordinates {x0, y0, x1, y1, ti} of the drawn entries of the
+   //! leaderboard or colorboard, a team may be drawn once per class
+   board: [],
+   hover: undefined,
+   //! name of the map projection (see projection.js)
+   proj: "spilhaus",
+   //! index of the time window of the speed curves within rolling_, -1 = speed per leg
+   roll: -1,
+   //! status message {text, error} shown on the canvas (see set_status())
+   status: undefined,
+   //! errors of the URL parameters, which are shown after loading the data
+   url_errors: [],
+   //! handle of the interval polling the race data (see refresh_data())
+   refresh: undefined,
+   //! handle of the interval moving the daylight border (see sun_tick())
+   sun_timer: undefined,
+   //! reference boat of the comparison (a team of setup_.teams), undefined = off
+   cmp: undefined,
+   //! rankings chart, 0 = off, 1 = by DTF, 2 = by corrected time
+   rank: 0,
+   //! gates given by the URL parameter, a JSON array or the URL of a JSON file (see load_gates())
+   gates: undefined,
+   //! replay controls
+   rc_index: -1,
+   rc:
+   [
+      {name: "PLAY"},
+      {name: "SPEED"},
+      {name: "SLIDER"}
+   ],
    bt:
    [
       {name: "INFO", enabled: 0},
       {name: "MAP", enabled: 1},
       {name: "DIAGRAM", enabled: 0},
       {name: "LEADERBOARD", enabled: 0},
-      {name: "RACECOURSE", enabled: 0}
+      {name: "RACECOURSE", enabled: 0},
+      {name: "CORRECTED", enabled: 0, click: update_standings},
+      {name: "CLASS", label: "CLASS: ALL", enabled: 0, click: next_class},
+      {name: "REPLAY", enabled: 0, click: toggle_replay},
+      {name: "FLEET", enabled: 0, click: zoom_fleet},
+      {name: "COURSE", enabled: 0, click: zoom_course},
+      {name: "PROJ", label: "PROJ: SPILHAUS", enabled: 0, click: next_projection},
+      {name: "ETA", enabled: 0},
+      {name: "SPEED", label: "SPEED: LEG", enabled: 0, click: next_speed},
+      {name: "GATES", enabled: 0},
+      {name: "COMPARE", label: "COMPARE: OFF", enabled: 0, click: next_compare},
+      {name: "SUN", enabled: 0},
+      {name: "LAPS", enabled: 0},
+      {name: "MARKS", enabled: 0},
+      {name: "RANKS", label: "RANKS: OFF", enabled: 0, click: next_rank}
    ]
 };
 
@@ -52,60 +138,25 @@ var col_ = cscheme_[cur_scheme_];
 
 var tw_;
 
-/*! This function is the parser for the binary track data. The function is
- * directly taken from the original YB code. The Github repository contains a
- * completely rewritten and mor readable version in C by me.
- */
-function parse(e)
-{
-   for (var t = new DataView(e), i = t.getUint8(0), a = 1 === (1 & i), s = 2 === (2 & i), n = 4 === (4 & i), r = 8 === (8 & i), o = t.getUint32(1), l = 5, c = []; l < e.byteLength;) {
-       var u = t.getUint16(l);
-       l += 2;
-       var h = t.getUint16(l),
-           d = new Array(h);
-       l += 2;
-       for (var g = void 0, v = 0; v < h; v++) {
-           var p = t.getUint8(l),
-               m = {};
-           if (128 === (128 & p)) {
-               var w = t.getUint16(l);
-               l += 2;
-               var y = t.getInt16(l);
-               l += 2;
-               var M = t.getInt16(l);
-               if (l += 2, a && (m.alt = t.getInt16(l), l += 2), s) {
-                   var f = t.getInt16(l);
-                   l += 2, m.dtf = g.dtf + f, n && (m.lap = t.getUint8(l), l++)
-               }
-               r && (m.pc = t.getInt16(l) / 32e3, l += 2), w = 32767 & w, m.lat = g.lat + y, m.lon = g.lon + M, m.at = g.at - w, m.pc = g.pc + m.pc
-           } else {
-               var T = t.getUint32(l);
-               l += 4;
-               var b = t.getInt32(l);
-               l += 4;
-               var L = t.getInt32(l);
-               if (l += 4, a && (m.alt = t.getInt16(l), l += 2), s) {
-                   var x = t.getInt32(l);
-                   l += 4, m.dtf = x, n && (m.lap = t.getUint8(l), l++)
-               }
-               r && (m.pc = t.getInt32(l) / 21e6, l += 4), m.lat = b, m.lon = L, m.at = o + T
-           }
-           d[v] = m, g = m
-       }
-       d.forEach(function(e) {
-           e.lat /= 1e5, e.lon /= 1e5
-       }), c.push({
-           id: u,
-           moments: d
-       })
-      }
-      return c
+/*! This function saves the screen coordinates of a track point which is
+ * drawn at x/y with the current transformation. This is used to detect if the
+ * mouse hovers over a track point.
+ * @param ti Index of the team.
+ * @param m The moment.
+ * @param rank Set if the point belongs to the rankings chart (see
+ * draw_rankings()).
+ */
+function add_hit(C, x, y, ti, m, rank = 0)
+{
+   var xy = C.ctx.getTransform().transformPoint({x: x, y: y});
+   // keep the team itself, the teams may be sorted before the next drawing
+   G.hit.push({x: xy.x, y: xy.y, team: setup_.teams[ti], m: m, rank: rank});
 }
 
 
 /*! This function draws the average speed curves.
  */
-function draw_v_avg(C, moments, setup)
+function draw_v_avg(C, moments, ti)
 {
    var ix = -1;
 
@@ -115,13 +166,15 @@ function draw_v_avg(C, moments, setup)
    C.ctx.moveTo(0, C.v_max * C.sy2);
    for (var i = moments.length - 1; i >= 0; i--)
    {
-      // ignore gaps of no movement
-      if (moments[i].v_avg < MIN_AVG)
+      // ignore gaps of no movement and tracker gaps
+      if (moments[i].v_avg < MIN_AVG || moments[i].gap)
       {
          C.ctx.stroke();
          C.ctx.beginPath();
       }
       C.ctx.lineTo((moments[i].at - C.t_min) * C.sx, (C.v_max - moments[i].v_avg) * C.sy2);
+      if (ti !== undefined)
+         add_hit(C, (moments[i].at - C.t_min) * C.sx, (C.v_max - moments[i].v_avg) * C.sy2, ti, moments[i]);
       if (moments[i].hasOwnProperty("v_avg_max"))
          ix = i;
    }
@@ -140,50 +193,301 @@ function draw_v_avg(C, moments, setup)
 }
 
 
+/*! This function draws the curves of the average speeds over the rolling
+ * time window t (see calc_rolling()) as alternative to draw_v_avg().
+ */
+function draw_rolling(C, moments, t, ti)
+{
+   C.ctx.save();
+   C.ctx.translate(0, C.d_max * C.sy);
+   C.ctx.beginPath();
+   for (var i = moments.length - 1, gap = 1; i >= 0; i--)
+   {
+      var d = RaceMath.dist_t(moments[i], t);
+      if (d === undefined)
+      {
+         gap = 1;
+         continue;
+      }
+
+      var x = (moments[i].at - C.t_min) * C.sx;
+      var y = (C.v_max - d.v_avg) * C.sy2;
+      if (gap)
+         C.ctx.moveTo(x, y);
+      else
+         C.ctx.lineTo(x, y);
+      gap = 0;
+      if (ti !== undefined)
+         add_hit(C, x, y, ti, moments[i]);
+   }
+   C.ctx.stroke();
+   C.ctx.restore();
+}
+
+
+/*! This function marks the best run (see BEST_RUN) of a track in the speed
+ * diagram with a bar over its time window, and on the map with a thick line.
+ */
+function draw_best_run(C, moments)
+{
+   var ix = RaceMath.best_run(moments, BEST_RUN);
+   if (ix < 0)
+      return;
+
+   var d = RaceMath.dist_t(moments[ix], BEST_RUN);
+   var x0 = (moments[ix].at - BEST_RUN - C.t_min) * C.sx, x1 = (moments[ix].at - C.t_min) * C.sx;
+   var y = (C.v_max - d.v_avg) * C.sy2;
+
+   if (diagram_shown())
+   {
+      C.ctx.save();
+      C.ctx.translate(0, C.d_max * C.sy);
+      C.ctx.fillStyle = "#f00000";
+      C.ctx.fillRect(x0, y - 1, x1 - x0, 3);
+      C.ctx.beginPath();
+      C.ctx.arc(x1, y, 3, 0, 2 * Math.PI);
+      C.ctx.fill();
+      C.ctx.fillText("best " + window_str(BEST_RUN) + " = " + d.dist.toFixed(1) + " nm", x1, y - 3);
+      C.ctx.restore();
+   }
+
+   if (G.bt[1].enabled)
+   {
+      C.ctx.save();
+      C.ctx.lineWidth = 3;
+      draw_moments_map(C, moments.slice(ix, RaceMath.index_at(moments, moments[ix].at - BEST_RUN) + 1));
+      C.ctx.restore();
+   }
+}
+
+
+/*! This function draws the VMG curves as dashed lines into the speed diagram.
+ * Negative values (sailing away from the finish) are clipped at 0.
+ */
+function draw_vmg(C, moments, ti)
+{
+   C.ctx.save();
+   C.ctx.translate(0, C.d_max * C.sy);
+   C.ctx.setLineDash([4, 4]);
+   C.ctx.beginPath();
+   for (var i = moments.length - 1, gap = 1; i >= 0; i--)
+   {
+      if (moments[i].vmg === undefined)
+      {
+         gap = 1;
+         continue;
+      }
+
+      var x = (moments[i].at - C.t_min) * C.sx;
+      var y = (C.v_max - Math.min(Math.max(moments[i].vmg, 0), C.v_max)) * C.sy2;
+      if (gap || moments[i].gap)
+         C.ctx.moveTo(x, y);
+      else
+         C.ctx.lineTo(x, y);
+      gap = 0;
+      if (ti !== undefined)
+         add_hit(C, x, y, ti, moments[i]);
+   }
+   C.ctx.stroke();
+   C.ctx.restore();
+}
+
+
+/*! This function sets the transformation of the map, including pan and zoom.
+ * The resulting transformation matrix is saved for the mouse handlers.
+ */
 function translate_map(C)
 {
-   C.ctx.translate(C.width / 2, C.height / 2);
-   C.ctx.rotate(Math.PI / 8);
+   C.ctx.translate(C.width / 2 + G.map.x, C.height / 2 + G.map.y);
+   C.ctx.scale(G.map.zoom, G.map.zoom);
+   C.ctx.rotate(proj_.rotation);
    C.ctx.scale(MAPSCALE, MAPSCALE);
+
+   G.map.w = C.width;
+   G.map.h = C.height;
+   G.map.m = C.ctx.getTransform();
+}
+
+
+/*! This function returns the map coordinates (i.e. before the rotation of the
+ * map) of a geographic position pos as drawn in draw_moments_map().
+ * @return Returns an object {x, y, p} with p being the projected point (see
+ * Projection.xy()), or undefined if the position is not visible in the
+ * current projection.
+ */
+function map_xy(width, pos)
+{
+   var xy = proj_.xy({lat: pos.lat, lon: pos.lon});
+   return xy === undefined ? undefined : {x: xy.x * width - width / 2, y: xy.y * width - width / 2, p: xy};
+}
+
+
+/*! This function returns the screen coordinates of a geographic position.
+ * It uses the transformation of the last drawing of the map.
+ */
+function map_to_screen(pos)
+{
+   var xy = map_xy(G.map.w, pos);
+   return xy === undefined ? undefined : G.map.m.transformPoint(xy);
+}
+
+
+/*! This function zooms the map by the factor f around the screen coordinates
+ * x/y, i.e. the point below x/y stays at its place.
+ */
+function map_zoom(f, x, y)
+{
+   const k = 1 - BORDER * 2;
+   var z = Math.min(Math.max(G.map.zoom * f, MINZOOM), MAXZOOM);
+
+   // position relative to the center of the map without border
+   var qx = (x - G.map.w * BORDER) / k - G.map.w / 2;
+   var qy = (y - G.map.h * BORDER) / k - G.map.h / 2;
+
+   G.map.x = qx - z / G.map.zoom * (qx - G.map.x);
+   G.map.y = qy - z / G.map.zoom * (qy - G.map.y);
+   G.map.zoom = z;
+
+   // snap back to the full map
+   if (z <= MINZOOM)
+      G.map.x = G.map.y = 0;
+}
+
+
+/*! This function zooms and pans the map such that all positions of the array
+ * pos are visible.
+ */
+function map_fit(pos)
+{
+   var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+   var r = proj_.rotation;
+
+   for (var i = 0; i < pos.length; i++)
+   {
+      var p = map_xy(G.map.w, pos[i]);
+      if (p === undefined)
+         continue;
+      // rotate like translate_map()
+      var x = (p.x * Math.cos(r) - p.y * Math.sin(r)) * MAPSCALE;
+      var y = (p.x * Math.sin(r) + p.y * Math.cos(r)) * MAPSCALE;
+      x0 = Math.min(x0, x);
+      y0 = Math.min(y0, y);
+      x1 = Math.max(x1, x);
+      y1 = Math.max(y1, y);
+   }
+
+   if (x0 > x1)
+      return;
+
+   G.map.zoom = Math.min(Math.max(0.9 * Math.min(G.map.w / (x1 - x0), G.map.h / (y1 - y0)), MINZOOM), MAXZOOM);
+   G.map.x = -G.map.zoom * (x0 + x1) / 2;
+   G.map.y = -G.map.zoom * (y0 + y1) / 2;
+}
+
+
+/*! This is the click handler of the FLEET button. It zooms to the current
+ * positions of the shown teams.
+ */
+function zoom_fleet(bt)
+{
+   var t = replay_time();
+   var pos = [];
+
+   bt.enabled = 0;
+   for (var i = 0; i < setup_.teams.length; i++)
+      if (team_shown(setup_.teams[i]) && setup_.teams[i].data.moments.length)
+      {
+         var p = t === undefined ? setup_.teams[i].data.moments[0] : RaceMath.interpolate(setup_.teams[i].data.moments, t);
+         if (p !== undefined)
+            pos.push(p);
+      }
+   map_fit(pos);
+}
+
+
+/*! This is the click handler of the COURSE button. It zooms to the race
+ * course.
+ */
+function zoom_course(bt)
+{
+   bt.enabled = 0;
+   map_fit(setup_.course.nodes);
 }
 
 
 /*! This function draws a track onto the map.
+ * @param ti Optional index of the team, if set the track points are saved
+ * for hovering (see add_hit()).
  */
-function draw_moments_map(C, moments)
+function draw_moments_map(C, moments, ti)
 {
    C.ctx.save();
    translate_map(C);
+   C.ctx.lineWidth /= G.map.zoom;
+   C.ctx.setLineDash(C.ctx.getLineDash().map(d => d / G.map.zoom));
  
    C.ctx.beginPath();
    //C.ctx.moveTo(0, C.d_max * C.sy);
-   for (var i = moments.length - 1; i >= 0; i--)
+   for (var i = moments.length - 1, oxy; i >= 0; i--)
    {
-      var tc = trans_spilhaus({lat: moments[i].lat, lon: moments[i].lon});
-      var xy = coords_xy(C.width, tc);
+      var xy = map_xy(C.width, moments[i]);
+      if (xy === undefined || moments[i].gap || (oxy !== undefined && proj_.split(oxy.p, xy.p)))
+      {
+         C.ctx.stroke();
+         C.ctx.beginPath();
+      }
+      if ((oxy = xy) === undefined)
+         continue;
+      C.ctx.lineTo(xy.x, xy.y);
+      if (ti !== undefined)
+         add_hit(C, xy.x, xy.y, ti, moments[i]);
+   }
+   C.ctx.stroke();
+   C.ctx.restore();
+}
+
+
+/*! This function draws a boat marker onto the map at position pos.
+ */
+function draw_marker_map(C, pos)
+{
+   C.ctx.save();
+   translate_map(C);
 
-      C.ctx.lineTo(xy.x - C.width/2, xy.y - C.width/2);
+   var xy = map_xy(C.width, pos);
+   if (xy === undefined)
+   {
+      C.ctx.restore();
+      return;
    }
+   C.ctx.lineWidth /= G.map.zoom;
+   C.ctx.beginPath();
+   C.ctx.arc(xy.x, xy.y, 4 / G.map.zoom, 0, 2 * Math.PI);
+   C.ctx.fill();
    C.ctx.stroke();
    C.ctx.restore();
 }
 
 
 /*! This function draws the distance curves.
+ * @param ti Optional index of the team, if set the track points are saved
+ * for hovering (see add_hit()).
  */
-function draw_moments(C, moments)
+function draw_moments(C, moments, ti)
 {
    C.ctx.beginPath();
    C.ctx.moveTo(0, C.d_max * C.sy);
    for (var i = moments.length - 1; i >= 0; i--)
    {
-      // ignore gaps of no movement
-      if (moments[i].v_avg < MIN_AVG)
+      // ignore gaps of no movement and tracker gaps
+      if (moments[i].v_avg < MIN_AVG || moments[i].gap)
       {
          C.ctx.stroke();
          C.ctx.beginPath();
       }
       C.ctx.lineTo((moments[i].at - C.t_min) * C.sx, (C.d_max - moments[i].dist_tot) * C.sy);
+      if (ti !== undefined)
+         add_hit(C, (moments[i].at - C.t_min) * C.sx, (C.d_max - moments[i].dist_tot) * C.sy, ti, moments[i]);
    }
    C.ctx.stroke();
 
@@ -191,13 +495,15 @@ function draw_moments(C, moments)
    C.ctx.moveTo(0, C.d_max * C.sy);
    for (var i = moments.length - 1; i >= 0; i--)
    {
-      // ignore gaps of no movement
-      if (moments[i].v_avg < MIN_AVG)
+      // ignore gaps of no movement and tracker gaps
+      if (moments[i].v_avg < MIN_AVG || moments[i].gap)
       {
          C.ctx.stroke();
          C.ctx.beginPath();
       }
       C.ctx.lineTo((moments[i].at - C.t_min) * C.sx, (C.d_max - moments[i].dmg) * C.sy);
+      if (ti !== undefined && moments[i].dmg !== undefined)
+         add_hit(C, (moments[i].at - C.t_min) * C.sx, (C.d_max - moments[i].dmg) * C.sy, ti, moments[i]);
    }
    C.ctx.stroke();
 }
@@ -217,8 +523,8 @@ function fill_moments(C, moments)
    C.ctx.fill();
 }
 
-/*! This function draws the tracks marks (e.g. film drops) onto the distance
- * curves.
+/*! This function draws the tracks marks (e.g. passed gates) onto the
+ * distance curves.
  */
 function draw_marks(C, moments)
 {
@@ -226,17 +532,86 @@ function draw_marks(C, moments)
    C.ctx.save();
    C.ctx.fillStyle = "#d00000";
    for (var i = moments.length - 1; i >= 0; i--)
-      if (moments[i].hasOwnProperty("name"))
+      if (moments[i].marks !== undefined)
       {
          C.ctx.beginPath();
          C.ctx.arc((moments[i].at - C.t_min) * C.sx, (C.d_max - moments[i].dist_tot) * C.sy, AR, 0, 2 * Math.PI);
          C.ctx.fill();
-         C.ctx.fillText(moments[i].name, (moments[i].at - C.t_min) * C.sx, (C.d_max - moments[i].dist_tot) * C.sy - AR);
+         C.ctx.fillText(moments[i].marks.join(", "), (moments[i].at - C.t_min) * C.sx, (C.d_max - moments[i].dist_tot) * C.sy - AR);
       }
    C.ctx.restore();
 }
 
 
+/*! This function returns the lines of text of the tooltip of a track point.
+ */
+function moment_info(team, m)
+{
+   var info = [
+      team.name,
+      new Date(m.at * 1000).toUTCString(),
+      coord_str(m.lat, LAT | MIN | DEC) + " " + coord_str(m.lon, LON | MIN | DEC)
+   ];
+
+   if (m.v_avg !== undefined)
+      info.push("v_avg = " + m.v_avg.toFixed(2) + " kts");
+   if (m.bearing !== undefined)
+      info.push("bearing = " + m.bearing.toFixed(0) + "°");
+   if (m.dist_tot !== undefined)
+      info.push("dist_tot = " + m.dist_tot.toFixed(1) + " nm");
+   if (m.dtf !== undefined)
+      info.push("dtf = " + m.dtf.toFixed(1) + " nm");
+   if (m.dmg !== undefined)
+      info.push("dmg = " + m.dmg.toFixed(1) + " nm");
+   if (m.vmg !== undefined)
+      info.push("vmg = " + m.vmg.toFixed(2) + " kts");
+   for (var i = 0; m.dist_t !== undefined && i < m.dist_t.length; i++)
+      info.push("dist " + window_str(m.dist_t[i].t_exp) + " = " + m.dist_t[i].dist.toFixed(1) + " nm, v_avg = " + m.dist_t[i].v_avg.toFixed(2) + " kts");
+   if (m.xte !== undefined)
+      info.push("xte = " + m.xte.toFixed(1) + " nm");
+   if (m.alt !== undefined)
+      info.push("alt = " + m.alt);
+   if (m.pc !== undefined && m.pc !== null && !isNaN(m.pc))
+      info.push("pc = " + m.pc.toFixed(3));
+   if (m.marks !== undefined)
+      info.push("passing " + m.marks.join(", "));
+
+   return info;
+}
+
+
+/*! This function draws the tooltip of the hovered track point next to the
+ * mouse position.
+ */
+function tooltip(C, hit)
+{
+   var text = moment_info(hit.team, hit.m);
+   var w = 0, b = 10, h = 20 * (text.length + .5);
+
+   for (var i = 0; i < text.length; i++)
+      w = Math.max(w, C.ctx.measureText(text[i]).width);
+   w += b;
+
+   C.ctx.save();
+   C.ctx.fillStyle = "#" + hit.team.colour + "ff";
+   C.ctx.beginPath();
+   C.ctx.arc(hit.x, hit.y, 4, 0, 2 * Math.PI);
+   C.ctx.fill();
+
+   // keep tooltip within the canvas
+   C.ctx.translate(Math.min(hit.x + 15, C.width - w), Math.min(hit.y + 15, C.height - h));
+   C.ctx.beginPath();
+   C.ctx.fillStyle = col_.xbgh;
+   C.ctx.rect(0, 0, w, h);
+   C.ctx.fill();
+
+   C.ctx.fillStyle = col_.tx;
+   for (var i = 0; i < text.length; i++)
+      C.ctx.fillText(text[i], b / 2, 20 * (i + 1));
+   C.ctx.restore();
+}
+
+
 /*! This function prints the caption of the diagram.
  */
 function caption(C, x, y)
@@ -265,12 +640,15 @@ function caption(C, x, y)
 
 /*! This function draws the buttons and set the coordinates in the button
  * object. The latter is necessary for the mouse_move_handler to detect if a
- * button is hovered over.
+ * button is hovered over. If the buttons do not fit into the width of the
+ * canvas, they are wrapped into several rows.
+ * @return Returns the y coordinate of the bottom of the buttons.
  */
 function buttons(C, x, y)
 {
    const w = BUTTONW, h = BUTTONH;
-   const x0 = x - w * G.bt.length / 2;
+   const n = Math.max(Math.min(Math.floor(C.width * (1 - 2 * BORDER) / w), G.bt.length), 1);
+   const x0 = x - w * n / 2;
    const y0 = y;
 
    C.ctx.save();
@@ -278,8 +656,8 @@ function buttons(C, x, y)
 
    for (var i = 0; i < G.bt.length; i++)
    {
-      G.bt[i].x0 = x0 + i * w;
-      G.bt[i].y0 = y0;
+      G.bt[i].x0 = x0 + (i % n) * w;
+      G.bt[i].y0 = y0 + Math.floor(i / n) * h;
       G.bt[i].x1 = G.bt[i].x0 + w;
       G.bt[i].y1 = G.bt[i].y0 + h;
 
@@ -298,158 +676,707 @@ function buttons(C, x, y)
    C.ctx.beginPath();
    for (var i = 0; i < G.bt.length; i++)
    {
-      var tm = C.ctx.measureText(G.bt[i].name);
-      C.ctx.fillText(G.bt[i].name, G.bt[i].x0 + (w - tm.width) / 2, G.bt[i].y0 + (h + tm.actualBoundingBoxDescent + tm.actualBoundingBoxAscent) / 2 - tm.actualBoundingBoxDescent);
+      var s = G.bt[i].label !== undefined ? G.bt[i].label : G.bt[i].name;
+      var tm = C.ctx.measureText(s);
+      C.ctx.fillText(s, G.bt[i].x0 + (w - tm.width) / 2, G.bt[i].y0 + (h + tm.actualBoundingBoxDescent + tm.actualBoundingBoxAscent) / 2 - tm.actualBoundingBoxDescent);
    }
    C.ctx.restore();
+
+   return y0 + Math.ceil(G.bt.length / n) * h;
 }
 
 
-/*! This function draws a color board just with the colors of the participants.
+/*! This function draws a table centered at x. The column widths are
+ * adjusted to the contents.
+ * @param title Title of the table.
+ * @param header Array with the column headers.
+ * @param rows Array of rows {cells, colour}, cells is an array with the
+ * strings of the columns, colour is the optional text color of the row.
+ * @return Returns the height of the table.
  */
-function colorboard(C, x, y, setup)
+function table(C, x, y, title, header, rows)
 {
-   const S = 20;
-   const x0 = x;
+   const b = 10;
+   var w = header.map(s => C.ctx.measureText(s).width);
+
+   for (var i = 0; i < rows.length; i++)
+      for (var j = 0; j < rows[i].cells.length; j++)
+         w[j] = Math.max(w[j] || 0, C.ctx.measureText(rows[i].cells[j]).width);
 
-   x -= S * setup.teams.length / 2;
+   var tw = w.reduce((a, v) => a + v + b, b);
+   var h = NDIST * (rows.length + 2) + b;
+   x -= tw / 2;
 
    C.ctx.save();
-   C.ctx.strokeStyle = col_.tx;
+   C.ctx.fillStyle = col_.xbgh;
+   C.ctx.fillRect(x, y, tw, h);
 
-   for (var i = 0; i < setup.teams.length; i++)
+   C.ctx.fillStyle = col_.tx;
+   C.ctx.font = "bold 14px sans-serif";
+   C.ctx.fillText(title, x + b, y + NDIST * 0.8);
+   for (var j = 0, cx = x + b; j < header.length; cx += w[j] + b, j++)
+      C.ctx.fillText(header[j], cx, y + NDIST * 1.8);
+
+   C.ctx.font = "14px sans-serif";
+   for (var i = 0; i < rows.length; i++)
    {
-      setup.teams[i].x0 = x + i * S;
-      setup.teams[i].y0 = y;
-      setup.teams[i].x1 = setup.teams[i].x0 + S
-      setup.teams[i].y1 = setup.teams[i].y0 + S;
+      C.ctx.fillStyle = rows[i].colour !== undefined ? "#" + rows[i].colour + "ff" : col_.tx;
+      for (var j = 0, cx = x + b; j < rows[i].cells.length; cx += w[j] + b, j++)
+         C.ctx.fillText(rows[i].cells[j], cx, y + NDIST * (i + 2.8));
+   }
+   C.ctx.restore();
 
-      if (G.mo_index == i || setup.teams[i].visible)
-         C.ctx.fillStyle = "#" + setup.teams[i].colour + "e0";
-      else
-         C.ctx.fillStyle = "#" + setup.teams[i].colour + "80";
+   return h;
+}
 
-      C.ctx.beginPath();
-      C.ctx.rect(setup.teams[i].x0, setup.teams[i].y0, S, S);
-      C.ctx.fill();
-      C.ctx.stroke();
 
-      if (G.mo_index == i)
-         C.ctx.fillText(setup.teams[i].display_name, x0 - C.ctx.measureText(setup.teams[i].display_name).width / 2, y + 2 * S);
-   }
+/*! This function draws the table of the projected finishing order of the
+ * boats which are still racing (see calc_eta()).
+ * @return Returns the height of the table.
+ */
+function eta_table(C, x, y, setup)
+{
+   const t_str = t => t !== undefined ? date_str(t) : "-";
+   const v_str = v => v !== undefined ? v.toFixed(2) : "-";
+   var teams = setup.teams.filter(team => team_shown(team) && team.eta !== undefined && eta_time(team.eta) !== undefined);
 
-   C.ctx.restore();
+   teams.sort((a, b) => eta_time(a.eta) - eta_time(b.eta));
+   var rows = teams.map((team, i) => ({colour: team.colour, cells: [
+      String(i + 1), team.name, team.data.moments[0].dtf !== undefined ? team.data.moments[0].dtf.toFixed(0) : "-",
+      v_str(team.eta.v24), t_str(team.eta.t24), v_str(team.eta.v7d), t_str(team.eta.t7d), v_str(team.eta.vmg), t_str(team.eta.tvmg)]}));
+
+   return table(C, x, y, "Projected finishing order (UTC)", ["#", "Name", "DTF", "v 24h", "ETA 24h", "v 7d", "ETA 7d", "VMG", "ETA VMG"], rows);
 }
 
 
-/*! This function draws the leader board and sets the event coordinates.
+/*! This function draws the table of the split times of all boats at the
+ * gates, which is the time elapsed since the start and the rank at each gate.
+ * In replay mode only the gates passed until the replay time are shown.
+ * @return Returns the height of the table.
  */
-function leaderboard(C, x, y, setup)
+function gates_table(C, x, y, setup)
 {
-   var tw = measure_names(C, setup);
+   var t = replay_time() !== undefined ? replay_time() : Infinity;
+   var gates = (Array.isArray(setup.gates) ? setup.gates : DEFAULT_GATES).map(g => g.name);
+   var teams = setup.teams.filter(team => team_shown(team));
+   // times of all teams at each gate, sorted for the ranks
+   var times = teams.map(team => gates.map(g => gate_time(team, g, t)));
+   var ranks = gates.map((g, j) => times.map(tt => tt[j]).filter(at => at !== undefined).sort((a, b) => a - b));
+   // index of the last passed gate
+   var last = times.map(tt => tt.findLastIndex(at => at !== undefined));
+
+   var order = teams.map((team, i) => i);
+   order.sort((a, b) => last[b] - last[a] || (last[a] < 0 ? 0 : times[a][last[a]] - times[b][last[b]]));
+
+   var rows = order.map(i => ({colour: teams[i].colour, cells: [teams[i].name].concat(times[i].map((at, j) =>
+      at !== undefined ? dur_str(at - (teams[i].start !== undefined ? teams[i].start : setup.start)) + " (" + (ranks[j].indexOf(at) + 1) + ")" : "-"))}));
+
+   return table(C, x, y, "Split times at the gates (elapsed, rank)", ["Name"].concat(gates), rows);
+}
 
-   C.ctx.save();
-   C.ctx.fillStyle = col_.xbg;
-   C.ctx.beginPath();
-   C.ctx.rect(x, y, tw + 20, setup.teams.length * NDIST + 10);
-   C.ctx.fill();
 
-   for (var i = 0; i < setup.teams.length; i++)
-   {
-      setup.teams[i].x0 = x;
-      setup.teams[i].y0 = y + i * NDIST;
-      setup.teams[i].x1 = setup.teams[i].x0 + tw;
-      setup.teams[i].y1 = setup.teams[i].y0 + NDIST;
+/*! This function returns the boats which are compared with the reference
+ * boat G.cmp, which are the selected (sticky) ones.
+ */
+function compare_teams(setup)
+{
+   return setup.teams.filter(team => team !== G.cmp && team.visible && team_shown(team) && team.data.moments.length);
+}
 
-      if (G.mo_index == i || setup.teams[i].visible)
-      {
-         C.ctx.fillStyle = "#" + setup.teams[i].colour + "ff";
-         C.ctx.font = "bold 14px sans-serif";
-      }
-      else
-      {
-         C.ctx.fillStyle = "#" + setup.teams[i].colour + "e0";
-         C.ctx.font = "14px sans-serif";
-      }
 
-      C.ctx.beginPath();
-      C.ctx.fillText(setup.teams[i].display_name, setup.teams[i].x0 + 10, setup.teams[i].y0 + NDIST*0.8);
-   }
-   C.ctx.restore();
+/*! This function compares the boats with the reference boat up to time t
+ * (see RaceMath.compare()).
+ * @return Returns an array of objects {team, cmp}.
+ */
+function compare_data(setup, t = Infinity)
+{
+   var ref = G.cmp.data.moments;
+   return compare_teams(setup).map(team => ({team: team, cmp: RaceMath.compare(team.data.moments, ref).filter(s => s.at <= t)}));
 }
 
 
-/*! This function draws the axis, grid lines, and the diagram captions.
+/*! This function draws one panel of the comparison. The values of the member
+ * p.key of the samples are drawn as curves of all boats.
+ * @param y Upper border of the panel.
+ * @param h Height of the panel.
+ * @param p Panel definition {title, key, unit, min, max}. If min or max are
+ * not set the range is determined by the values.
+ * @param data Array of compared boats {team, cmp} (see compare_data()).
  */
-function axis(C)
+function draw_panel(C, y, h, p, data)
 {
-   const XDIFF = 20;
-   const YDIFF = 20;
+   var min = p.min, max = p.max;
+   if (min === undefined || max === undefined)
+   {
+      var a = data.reduce((a, d) => d.cmp.reduce((a, s) => s[p.key] !== undefined ? Math.max(a, Math.abs(s[p.key])) : a, a), 1);
+      min = p.min !== undefined ? p.min : -a;
+      max = p.max !== undefined ? p.max : a;
+   }
+   var sy = h * 0.9 / (max - min);
+   var y0 = y + h * 0.05 + max * sy;
 
    C.ctx.save();
    C.ctx.fillStyle = col_.cap;
    C.ctx.strokeStyle = col_.cap;
    C.ctx.lineWidth = 1;
-   C.ctx.setLineDash([6,4]);
-
-   // x axis
-   C.ctx.save();
-   var t_diff = (C.t_max - C.t_min) / XDIFF;
-   for (var t = C.t_min, td = new Date(); t < C.t_max ; t += t_diff)
+   C.ctx.fillText(p.title, 0, y + NDIST);
+   for (var g of [min, 0, max])
    {
+      C.ctx.setLineDash(g ? [6, 4] : []);
       C.ctx.beginPath();
-      C.ctx.moveTo(0, 0);
-      C.ctx.lineTo(0, C.height /*-C.d_max * C.sy*/);
+      C.ctx.moveTo(0, y0 - g * sy);
+      C.ctx.lineTo(C.width, y0 - g * sy);
       C.ctx.stroke();
-      td.setTime(t * 1000);
-      C.ctx.save();
-      C.ctx.translate(0, C.height * 0.7);
-      C.ctx.rotate(-Math.PI / 2);
-      C.ctx.fillText(td.toUTCString(), 0, -4);
-      C.ctx.restore();
-      C.ctx.translate(t_diff * C.sx, 0);
+      C.ctx.fillText(g.toFixed(0) + p.unit, C.width - 60, y0 - g * sy - 2);
    }
-   C.ctx.restore();
 
-   C.ctx.save();
-   C.ctx.translate(0, C.d_max * C.sy);
-   var d_diff = C.d_max / YDIFF;
-   for (var d = 0; d < C.d_max; d += d_diff)
+   C.ctx.setLineDash([]);
+   for (var d of data)
    {
+      C.ctx.strokeStyle = "#" + d.team.colour + "ff";
       C.ctx.beginPath();
-      C.ctx.moveTo(0, 0);
-      C.ctx.lineTo((C.t_max - C.t_min) * C.sx, 0);
+      for (var i = d.cmp.length - 1, gap = 1; i >= 0; i--)
+      {
+         if (d.cmp[i][p.key] === undefined)
+         {
+            gap = 1;
+            continue;
+         }
+         var x = (d.cmp[i].at - C.t_min) * C.sx;
+         if (gap)
+            C.ctx.moveTo(x, y0 - d.cmp[i][p.key] * sy);
+         else
+            C.ctx.lineTo(x, y0 - d.cmp[i][p.key] * sy);
+         gap = 0;
+      }
       C.ctx.stroke();
-      var ds = d.toFixed(0) + " nm";
-      C.ctx.fillText(ds, 0, 0);
-      C.ctx.translate(0, -d_diff * C.sy);
    }
    C.ctx.restore();
+}
 
-   C.ctx.save();
-   C.ctx.translate(0, C.d_max * C.sy + C.v_max * C.sy2);
-   var v_diff = C.v_max / 10;
-   for (var v = 0; v < C.v_max; v += v_diff)
-   {
-      C.ctx.beginPath();
-      C.ctx.moveTo(0, 0);
-      C.ctx.lineTo((C.t_max - C.t_min) * C.sx, 0);
-      C.ctx.stroke();
-      var vs = v.toFixed(0) + " kts";
-      C.ctx.fillText(vs, 0, 0);
-      C.ctx.translate(0, -v_diff * C.sy2);
-   }
-   C.ctx.restore();
 
-   C.ctx.restore();
+/*! This function draws the comparison of the selected boats with the
+ * reference boat G.cmp onto the time axis of the diagram. The panels show the
+ * distance gained on the reference, the separation, and the bearing relative
+ * to the course of the reference.
+ */
+function draw_compare(C, setup, t_rep)
+{
+   var data = compare_data(setup, t_rep !== undefined ? t_rep : Infinity);
+   var panels =
+   [
+      {title: "distance gained on " + G.cmp.name, key: "ddtf", unit: " nm"},
+      {title: "separation", key: "dist", unit: " nm", min: 0},
+      {title: "relative bearing", key: "bearing", unit: "°", min: -180, max: 180}
+   ];
+
+   for (var k = 0; k < panels.length; k++)
+      draw_panel(C, C.height * k / panels.length, C.height / panels.length, panels[k], data);
 }
 
 
-/*! This helper function determins the maximum width of the name box.
+/*! This function draws the table of the periods of GAIN_PERIOD in which the
+ * compared boats gained and lost the most on the reference boat.
+ * @return Returns the height of the table.
  */
-function measure_names(C, setup)
+function compare_table(C, x, y, setup)
 {
-   var w = 0;
+   var t = replay_time() !== undefined ? replay_time() : Infinity;
+   const g_str = g => g !== undefined ? g.gain.toFixed(1) : "-";
+   const p_str = g => g !== undefined ? date_str(g.t0) + " - " + date_str(g.t1) : "-";
+
+   var rows = compare_data(setup, t).map(d => {
+      var gain = RaceMath.best_gain(d.cmp, GAIN_PERIOD), loss = RaceMath.best_gain(d.cmp, GAIN_PERIOD, -1);
+      var s = d.cmp[0];
+      return {colour: d.team.colour, cells: [d.team.name,
+         s !== undefined && s.ddtf !== undefined ? s.ddtf.toFixed(1) : "-", s !== undefined ? s.dist.toFixed(1) : "-",
+         g_str(gain), p_str(gain), g_str(loss), p_str(loss)]};
+   });
+
+   return table(C, x, y, "Compared to " + G.cmp.name + ", biggest gains and losses within " + window_str(GAIN_PERIOD) + " (UTC)",
+      ["Name", "gained", "sep.", "max. gain", "period", "max. loss", "period"], rows);
+}
+
+
+/*! This function draws the ranks of the boats over time as a bump chart onto
+ * the time axis of the diagram (see calc_rankings()). The boats are ranked by
+ * DTF or by corrected time (G.rank). The ranks are added to the hit points,
+ * thus hovering over a line selects the boat (see handle_mouse_pos()).
+ */
+function draw_rankings(C, setup, t_rep)
+{
+   var teams = setup.teams.filter(team => team_shown(team) && team.data.moments.length);
+   var step = Math.max(Math.round((C.t_max - C.t_min) / RANK_SAMPLES / 3600), 1) * 3600;
+   var rk = calc_rankings(teams, setup, C.t_min, t_rep !== undefined ? t_rep : C.t_max, step, G.rank == 2, G.tcf);
+   var n = Math.max(teams.length, 1);
+   var sy = C.height * 0.9 / n;
+   const y = r => C.height * 0.05 + (r - 0.5) * sy;
+
+   C.ctx.save();
+   C.ctx.fillStyle = col_.cap;
+   C.ctx.fillText("rank by " + (G.rank == 2 ? "corrected time" : "DTF"), 0, NDIST);
+   for (var r = 1; r <= n; r++)
+      C.ctx.fillText(r.toString(), C.width - 20, y(r) + 4);
+
+   // the selected boats are drawn last to be on top
+   var order = teams.map((team, k) => k).sort((a, b) => !!teams[a].visible - !!teams[b].visible);
+   for (var k of order)
+   {
+      var ti = setup.teams.indexOf(teams[k]);
+      var moments = teams[k].data.moments;
+
+      C.ctx.strokeStyle = "#" + teams[k].colour + (G.mo_index == ti || teams[k].visible ? "ff" : "60");
+      C.ctx.lineWidth = G.mo_index == ti ? 3 : teams[k].visible ? 2 : 1;
+      C.ctx.beginPath();
+      for (var i = 0, gap = 1; i < rk.length; i++)
+      {
+         if (rk[i].ranks[k] === undefined)
+         {
+            gap = 1;
+            continue;
+         }
+         var x = (rk[i].at - C.t_min) * C.sx;
+         if (gap)
+            C.ctx.moveTo(x, y(rk[i].ranks[k]));
+         else
+            C.ctx.lineTo(x, y(rk[i].ranks[k]));
+         gap = 0;
+         add_hit(C, x, y(rk[i].ranks[k]), ti, moments[Math.min(RaceMath.index_at(moments, rk[i].at), moments.length - 1)], 1);
+      }
+      C.ctx.stroke();
+   }
+   C.ctx.restore();
+}
+
+
+/*! This function draws the table of the next sunset, end of the civil
+ * twilight (dusk), begin of the civil twilight (dawn), and sunrise at the
+ * positions of the boats at the current or replay time.
+ * @return Returns the height of the table.
+ */
+function sun_table(C, x, y, setup)
+{
+   var t = replay_time() !== undefined ? replay_time() : time();
+   const t_str = t => t !== undefined ? date_str(t) : "-";
+
+   var rows = setup.teams.filter(team => team_shown(team) && team.data.moments.length).map(team => {
+      var pos = RaceMath.interpolate(team.data.moments, t);
+      if (pos === undefined)
+         return {colour: team.colour, cells: [team.name, "-"]};
+
+      var day = sun_day(pos, t);
+      return {colour: team.colour, cells: [team.name, coord_str(pos.lat, LAT | MIN) + " " + coord_str(pos.lon, LON | MIN),
+         t_str(sun_next(pos, t, SUN_ALTS[0], true)), t_str(sun_next(pos, t, SUN_ALTS[1], true)),
+         t_str(sun_next(pos, t, SUN_ALTS[1])), t_str(sun_next(pos, t, SUN_ALTS[0])),
+         day.polar !== undefined ? "polar " + day.polar : ""]};
+   });
+
+   return table(C, x, y, "Next sunset and sunrise at the positions of the boats (UTC)", ["Name", "Position", "Sunset", "Dusk", "Dawn", "Sunrise", ""], rows);
+}
+
+
+/*! This function draws the table of the lap times of all boats of a lap
+ * race. The current lap of each boat is marked with an asterisk.
+ * @return Returns the height of the table.
+ */
+function laps_table(C, x, y, setup)
+{
+   var teams = setup.teams.filter(team => team_shown(team) && team.laps !== undefined);
+   var n = teams.reduce((n, team) => Math.max(n, team.laps.n), 1);
+   var header = ["Name", "Lap"];
+
+   for (var i = 1; i <= n; i++)
+      header.push("Lap " + i);
+   header.push("Best");
+
+   var rows = teams.map(team => {
+      var t = lap_times(team);
+      var best = t.reduce((b, v) => v !== undefined && (b === undefined || v < b) ? v : b, undefined);
+      var cells = [team.name, team.laps.finish !== undefined ? "finished" : team_lap(team) + "/" + team.laps.n];
+      for (var i = 0; i < n; i++)
+         cells.push(t[i] !== undefined ? dur_str(t[i]) : i + 1 == team_lap(team) && team.laps.finish === undefined ? "*" : "-");
+      cells.push(best !== undefined ? dur_str(best) : "-");
+      return {colour: team.colour, cells: cells};
+   });
+
+   return table(C, x, y, "Lap times (* = current lap)", header, rows);
+}
+
+
+/*! This function draws the table of the roundings of the course marks of all
+ * boats with the elapsed times. Missed marks are shown as MISSED.
+ * @return Returns the height of the table.
+ */
+function marks_table(C, x, y, setup)
+{
+   var t = replay_time() !== undefined ? replay_time() : Infinity;
+   var teams = setup.teams.filter(team => team_shown(team) && team.roundings !== undefined);
+   // the marks of the team with the most laps
+   var marks = teams.reduce((m, team) => team.roundings.length > m.length ? team.roundings : m, []);
+   var header = ["Name"].concat(marks.map(r => r.name + (r.lap > 1 ? " (" + r.lap + ")" : "") + " " + (r.side == "port" ? "P" : "S")));
+
+   var rows = teams.map(team => ({colour: team.colour, cells: [team.name].concat(marks.map((m, j) => {
+      var r = team.roundings[j];
+      if (r === undefined)
+         return "";
+      if (r.at !== undefined && r.at <= t)
+         return dur_str(r.at - (team.start !== undefined ? team.start : setup.start));
+      return r.missed && t == Infinity ? "MISSED" : "-";
+   }))}));
+
+   return table(C, x, y, "Mark roundings (elapsed, P = port, S = starboard)", header, rows);
+}
+
+
+/*! This function draws the course marks with their rounding rays into the
+ * map (see RaceMath.mark_ray()).
+ */
+function draw_course_marks(C, course)
+{
+   for (var k = 0; k < course.length; k++)
+   {
+      if (RaceMath.rounding(course[k]) === undefined)
+         continue;
+      var ray = RaceMath.mark_ray(course, k);
+      C.ctx.strokeStyle = C.ctx.fillStyle = RaceMath.rounding(course[k]) == "port" ? "#f00000" : "#00c000";
+      draw_moments_map(C, [ray.a, ray.b]);
+      draw_marker_map(C, course[k]);
+   }
+}
+
+
+/*! This function highlights the current lap of a boat of a lap race with a
+ * thick line on the map.
+ */
+function draw_lap(C, team, moments)
+{
+   if (!G.bt[1].enabled || team.laps === undefined || team.laps.n < 2)
+      return;
+
+   // the lap at the time of the latest moment, which differs in replay mode
+   var t = moments[0].at;
+   if (team.laps.finish !== undefined && team.laps.finish <= t)
+      return;
+   var t0 = team.laps.starts.findLast(s => s !== undefined && s <= t);
+   if (t0 === undefined)
+      return;
+
+   C.ctx.save();
+   C.ctx.lineWidth = 4;
+   draw_moments_map(C, moments.slice(0, RaceMath.index_at(moments, t0) + 1));
+   C.ctx.restore();
+}
+
+
+/*! This function draws the ETA projections of a team as dashed lines from the
+ * latest moment to the finish into the distance diagram.
+ */
+function draw_eta(C, team)
+{
+   var m = team.data.moments[0];
+   var dtf = RaceMath.has_dtf(m) ? m.dtf : team.board && team.board.dtf > 0 ? team.board.dtf / 1852 : undefined;
+
+   if (team.eta === undefined || dtf === undefined)
+      return;
+
+   C.ctx.save();
+   for (var k in ETA_DASHES)
+   {
+      if (team.eta[k] === undefined)
+         continue;
+      C.ctx.setLineDash(ETA_DASHES[k]);
+      C.ctx.beginPath();
+      C.ctx.moveTo((m.at - C.t_min) * C.sx, (C.d_max - m.dist_tot) * C.sy);
+      C.ctx.lineTo((team.eta[k] - C.t_min) * C.sx, (C.d_max - m.dist_tot - dtf) * C.sy);
+      C.ctx.stroke();
+   }
+   C.ctx.restore();
+}
+
+
+/*! This function draws the controls of the replay mode, which are the
+ * play/pause button, the speed button, and the time slider. It sets the
+ * coordinates of the controls for the mouse handlers.
+ */
+function replay_bar(C, y)
+{
+   const w = BUTTONW, h = BUTTONH;
+   const x0 = C.width * BORDER;
+   const x1 = C.width * (1 - BORDER);
+   var R = G.replay;
+   var label = [R.playing ? "PAUSE" : "PLAY", REPLAY_SPEEDS[R.speed].name];
+
+   C.ctx.save();
+   C.ctx.strokeStyle = col_.tx;
+   for (var i = 0; i < G.rc.length; i++)
+   {
+      G.rc[i].x0 = x0 + i * w;
+      G.rc[i].y0 = y;
+      G.rc[i].x1 = i < 2 ? G.rc[i].x0 + w : x1;
+      G.rc[i].y1 = y + h;
+
+      C.ctx.fillStyle = G.rc_index == i ? col_.xbgh : col_.xbg;
+      C.ctx.beginPath();
+      C.ctx.rect(G.rc[i].x0, G.rc[i].y0, G.rc[i].x1 - G.rc[i].x0, h);
+      C.ctx.fill();
+      C.ctx.stroke();
+   }
+
+   // slider knob
+   var sl = G.rc[2];
+   var kx = sl.x0 + (sl.x1 - sl.x0) * (R.t - R.t0) / (R.t1 - R.t0);
+   C.ctx.fillStyle = col_.bteh;
+   C.ctx.fillRect(sl.x0, y, kx - sl.x0, h);
+
+   C.ctx.fillStyle = col_.tx;
+   C.ctx.beginPath();
+   for (var i = 0; i < label.length; i++)
+   {
+      var tm = C.ctx.measureText(label[i]);
+      C.ctx.fillText(label[i], G.rc[i].x0 + (w - tm.width) / 2, y + h * 0.7);
+   }
+   C.ctx.fillText(new Date(R.t * 1000).toUTCString(), sl.x0 + 10, y + h * 0.7);
+   C.ctx.restore();
+}
+
+
+/*! This function returns the current replay time or undefined if the replay
+ * mode is disabled.
+ */
+function replay_time()
+{
+   return button("REPLAY").enabled ? G.replay.t : undefined;
+}
+
+
+/*! This function returns true if the team belongs to the currently selected
+ * class.
+ */
+function team_shown(team)
+{
+   return G.cls < 0 || team.classes === undefined || team.classes.includes(setup_.classes[G.cls].id);
+}
+
+
+/*! This function returns the groups of teams as they are shown in the
+ * leaderboard and the colorboard. If a class is selected, this is just the
+ * selected class. Otherwise it is one group per class, or a single unnamed
+ * group if there is just one class.
+ * @return Array of groups {name, colour, teams}, teams is an array of indexes
+ * into setup.teams in the order of the standings.
+ */
+function board_groups(setup)
+{
+   var idx = setup.teams.map((t, i) => i);
+
+   if (setup.classes === undefined || (G.cls < 0 && setup.classes.length < 2))
+      return [{teams: idx}];
+
+   var cls = G.cls < 0 ? setup.classes : [setup.classes[G.cls]];
+   return cls.map(c => ({name: c.name, colour: c.colour, teams: idx.filter(i => setup.teams[i].classes.includes(c.id))}));
+}
+
+
+/*! This function resets the event coordinates of all objects of the array,
+ * thus they are not detected by match_array_coords() if they are not drawn.
+ */
+function clear_coords(a)
+{
+   for (var i = 0; i < a.length; i++)
+      a[i].x0 = a[i].y0 = a[i].x1 = a[i].y1 = undefined;
+}
+
+
+/*! This function draws a color board just with the colors of the participants.
+ * The participants are grouped by classes, each group is underlined with the
+ * color of the class.
+ */
+function colorboard(C, x, y, setup)
+{
+   const S = 20;
+   const GAP = S / 2;
+   const x0 = x;
+   var groups = board_groups(setup);
+   var n = 0;
+
+   for (var k = 0; k < groups.length; k++)
+      n += groups[k].teams.length;
+   x -= (S * n + GAP * (groups.length - 1)) / 2;
+
+   C.ctx.save();
+   C.ctx.strokeStyle = col_.tx;
+   G.board = [];
+
+   for (var k = 0; k < groups.length; k++)
+   {
+      if (groups[k].colour !== undefined)
+      {
+         C.ctx.fillStyle = "#" + groups[k].colour;
+         C.ctx.fillRect(x, y + S + 2, S * groups[k].teams.length, 4);
+      }
+
+      for (var m = 0; m < groups[k].teams.length; m++, x += S)
+      {
+         var i = groups[k].teams[m];
+         G.board.push({x0: x, y0: y, x1: x + S, y1: y + S, ti: i});
+
+         if (G.mo_index == i || setup.teams[i].visible)
+            C.ctx.fillStyle = "#" + setup.teams[i].colour + "e0";
+         else
+            C.ctx.fillStyle = "#" + setup.teams[i].colour + "80";
+
+         C.ctx.beginPath();
+         C.ctx.rect(x, y, S, S);
+         C.ctx.fill();
+         C.ctx.stroke();
+
+         if (G.mo_index == i)
+            C.ctx.fillText(setup.teams[i].display_name, x0 - C.ctx.measureText(setup.teams[i].display_name).width / 2, y + 2 * S);
+      }
+      x += GAP;
+   }
+
+   C.ctx.restore();
+}
+
+
+/*! This function draws the leader board and sets the event coordinates. If
+ * there are several classes, a separate leader board is drawn for each class.
+ */
+function leaderboard(C, x, y, setup)
+{
+   var tw = measure_names(C, setup);
+   var groups = board_groups(setup);
+   var n = 0;
+
+   for (var k = 0; k < groups.length; k++)
+      n += groups[k].teams.length + (groups[k].name !== undefined);
+
+   C.ctx.save();
+   C.ctx.fillStyle = col_.xbg;
+   C.ctx.beginPath();
+   C.ctx.rect(x, y, tw + 20, n * NDIST + 10);
+   C.ctx.fill();
+   G.board = [];
+
+   for (var k = 0; k < groups.length; k++)
+   {
+      if (groups[k].name !== undefined)
+      {
+         C.ctx.fillStyle = "#" + groups[k].colour + "ff";
+         C.ctx.font = "bold 14px sans-serif";
+         C.ctx.beginPath();
+         C.ctx.fillText(groups[k].name, x + 10, y + NDIST * 0.8);
+         y += NDIST;
+      }
+
+      for (var m = 0; m < groups[k].teams.length; m++, y += NDIST)
+      {
+         var i = groups[k].teams[m];
+         G.board.push({x0: x, y0: y, x1: x + tw, y1: y + NDIST, ti: i});
+
+         if (G.mo_index == i || setup.teams[i].visible)
+         {
+            C.ctx.fillStyle = "#" + setup.teams[i].colour + "ff";
+            C.ctx.font = "bold 14px sans-serif";
+         }
+         else
+         {
+            C.ctx.fillStyle = "#" + setup.teams[i].colour + "e0";
+            C.ctx.font = "14px sans-serif";
+         }
+
+         C.ctx.beginPath();
+         C.ctx.fillText(setup.teams[i].display_name, x + 10, y + NDIST*0.8);
+      }
+   }
+   C.ctx.restore();
+}
+
+
+/*! This function draws the axis, grid lines, and the diagram captions.
+ */
+function axis(C)
+{
+   const YDIFF = 20;
+
+   C.ctx.save();
+   C.ctx.fillStyle = col_.cap;
+   C.ctx.strokeStyle = col_.cap;
+   C.ctx.lineWidth = 1;
+   C.ctx.setLineDash([6,4]);
+
+   time_axis(C);
+
+   C.ctx.save();
+   C.ctx.translate(0, C.d_max * C.sy);
+   var d_diff = C.d_max / YDIFF;
+   for (var d = 0; d < C.d_max; d += d_diff)
+   {
+      C.ctx.beginPath();
+      C.ctx.moveTo(0, 0);
+      C.ctx.lineTo((C.t_max - C.t_min) * C.sx, 0);
+      C.ctx.stroke();
+      var ds = d.toFixed(0) + " nm";
+      C.ctx.fillText(ds, 0, 0);
+      C.ctx.translate(0, -d_diff * C.sy);
+   }
+   C.ctx.restore();
+
+   C.ctx.save();
+   C.ctx.translate(0, C.d_max * C.sy + C.v_max * C.sy2);
+   var v_diff = C.v_max / 10;
+   for (var v = 0; v < C.v_max; v += v_diff)
+   {
+      C.ctx.beginPath();
+      C.ctx.moveTo(0, 0);
+      C.ctx.lineTo((C.t_max - C.t_min) * C.sx, 0);
+      C.ctx.stroke();
+      var vs = v.toFixed(0) + " kts";
+      C.ctx.fillText(vs, 0, 0);
+      C.ctx.translate(0, -v_diff * C.sy2);
+   }
+   C.ctx.restore();
+
+   C.ctx.restore();
+}
+
+
+/*! This function draws the time axis of the diagram.
+ */
+function time_axis(C)
+{
+   const XDIFF = 20;
+
+   C.ctx.save();
+   C.ctx.fillStyle = col_.cap;
+   C.ctx.strokeStyle = col_.cap;
+   C.ctx.lineWidth = 1;
+   C.ctx.setLineDash([6,4]);
+   var t_diff = (C.t_max - C.t_min) / XDIFF;
+   for (var t = C.t_min, td = new Date(); t < C.t_max ; t += t_diff)
+   {
+      C.ctx.beginPath();
+      C.ctx.moveTo(0, 0);
+      C.ctx.lineTo(0, C.height /*-C.d_max * C.sy*/);
+      C.ctx.stroke();
+      td.setTime(t * 1000);
+      C.ctx.save();
+      C.ctx.translate(0, C.height * 0.7);
+      C.ctx.rotate(-Math.PI / 2);
+      C.ctx.fillText(td.toUTCString(), 0, -4);
+      C.ctx.restore();
+      C.ctx.translate(t_diff * C.sx, 0);
+   }
+   C.ctx.restore();
+}
+
+
+/*! This helper function determins the maximum width of the name box.
+ */
+function measure_names(C, setup)
+{
+   var w = 0;
    C.ctx.save();
    C.ctx.font = "bold 14px sans-serif";
    for (var i = 0; i < setup.teams.length; i++)
@@ -459,22 +1386,70 @@ function measure_names(C, setup)
 }
 
 
+/*! This function shades the night on the map. The cells of the night grid
+ * are drawn in one path for each level (see calc_night()), thus the shading
+ * gets darker with each level. Cells which are split by the projection are
+ * skipped.
+ */
+function draw_night(C)
+{
+   var s = Math.max(C.width, C.height);
+   var g = night_.grid;
+   const pt = p => C.ctx.lineTo(p.x * s - s / 2, p.y * s - s / 2);
+
+   // the grid is not calculated yet
+   if (g.length != night_.level.length + 1)
+      return;
+
+   C.ctx.save();
+   translate_map(C);
+   C.ctx.fillStyle = NIGHT_COLOUR;
+   for (var k = 1; k <= night_.levels; k++)
+   {
+      C.ctx.beginPath();
+      for (var r = 0; r < night_.level.length; r++)
+         for (var c = 0; c < night_.level[r].length; c++)
+         {
+            if (night_.level[r][c] < k)
+               continue;
+            var p = [g[r][c], g[r][c + 1], g[r + 1][c + 1], g[r + 1][c]];
+            if (p.some((q, i) => q === undefined || proj_.split(q, p[(i + 1) % 4])))
+               continue;
+            C.ctx.moveTo(p[0].x * s - s / 2, p[0].y * s - s / 2);
+            pt(p[1]);
+            pt(p[2]);
+            pt(p[3]);
+            C.ctx.closePath();
+         }
+      C.ctx.fill();
+   }
+   C.ctx.restore();
+}
+
+
 /*! This function plots the map having the coordinates x/y of each point
- * already pre-calculated (done in calc_chart()). It also does the final 45
- * degree rotation to Adams Square II projected coordinates to resemble the
- * Spilhaus projection.
+ * already pre-calculated (done in calc_chart()). It also does the final
+ * rotation of the projection, which is 45 degrees in case of the Adams Square
+ * II projected coordinates to resemble the Spilhaus projection.
+ * Coastlines are drawn according to their scalerank, the more the map is
+ * zoomed in the more details are shown. The full map shows all coastlines up
+ * to SCALERANK.
  */
 function draw_map(C)
 {
    var s = Math.max(C.width, C.height);
    var fill;
+   var rank = SCALERANK + 2 * Math.log2(G.map.zoom);
 
    C.ctx.save();
    translate_map(C);
 
-   C.ctx.lineWidth = 2;
+   C.ctx.lineWidth = 2 / G.map.zoom;
    for (i = 0; i < c_.length; i++)
    {
+      if (parseFloat(c_[i].tags.scalerank) > rank)
+         continue;
+
       fill = 0;
       switch (c_[i].tags.type)
       {
@@ -499,7 +1474,7 @@ function draw_map(C)
          case "latitude":
          case "longitude":
             C.ctx.strokeStyle = "#606000";
-            C.ctx.setLineDash([2, 3]);
+            C.ctx.setLineDash([2 / G.map.zoom, 3 / G.map.zoom]);
             break;
          default:
             C.ctx.strokeStyle = "#801000";
@@ -515,6 +1490,8 @@ function draw_map(C)
             C.ctx.stroke();
             C.ctx.beginPath();
          }
+         if (c_[i].nodes[j].hidden)
+            continue;
          C.ctx.lineTo(c_[i].nodes[j].x*s - s/2, c_[i].nodes[j].y*s - s/2);
       }
       if (fill)
@@ -551,10 +1528,49 @@ function draw_data(setup)
 
    for (var i = 0; i < setup.teams.length; i++)
    {
-      C.t_min = Math.min(C.t_min, setup.teams[i].start !== undefined ? setup.teams[i].start : time());
+      C.t_min = Math.min(C.t_min, setup.teams[i].start !== undefined ? setup.teams[i].start : setup.start !== undefined ? setup.start : time());
+      if (!setup.teams[i].data.moments.length)
+         continue;
       C.t_max = Math.max(C.t_max, setup.teams[i].data.moments[0].at);
       C.d_max = Math.max(C.d_max, setup.teams[i].data.moments[0].dist_tot);
    }
+   // avoid division by zero if there is no data at all
+   if (C.t_max <= C.t_min)
+      C.t_max = C.t_min + 1;
+   if (C.d_max <= 0)
+      C.d_max = 1;
+
+   // init replay time range
+   G.replay.t0 = C.t_min;
+   G.replay.t1 = C.t_max;
+   var t_rep = replay_time();
+   if (t_rep !== undefined)
+      G.replay.t = t_rep = Math.min(Math.max(t_rep, C.t_min), C.t_max);
+
+   // move the daylight border and the night shading to the current or replay time
+   var t_sun = t_rep !== undefined ? t_rep : time();
+   if (G.sun === undefined || Math.abs(t_sun - G.sun) >= SUN_UPDATE)
+   {
+      update_sun(t_sun);
+      G.sun = t_sun;
+   }
+
+   // extend the diagram by the ETA projections, but at most by its length
+   if (button("ETA").enabled && t_rep === undefined)
+   {
+      var t_end = 2 * C.t_max - C.t_min;
+      for (var i = 0; i < setup.teams.length; i++)
+      {
+         var team = setup.teams[i];
+         if (team.eta === undefined || !team_shown(team))
+            continue;
+         for (var k in ETA_DASHES)
+            if (team.eta[k] !== undefined)
+               C.t_max = Math.min(Math.max(C.t_max, team.eta[k]), t_end);
+         if (team.data.moments[0].dtf !== undefined)
+            C.d_max = Math.max(C.d_max, team.data.moments[0].dist_tot + team.data.moments[0].dtf);
+      }
+   }
 
    var ysplit = 0.8;
    C.sx = C.width / (C.t_max - C.t_min);
@@ -563,23 +1579,29 @@ function draw_data(setup)
 
    C.ctx.lineWidth = 1;
    C.ctx.font = "14px sans-serif";
+   G.hit = [];
 
    C.ctx.save();
    C.ctx.translate(C.width * BORDER, C.height * BORDER);
    C.ctx.scale(1 - BORDER * 2, 1 - BORDER * 2);
 
    if (G.bt[1].enabled)
+   {
+      draw_night(C);
       draw_map(C);
+   }
 
-   if (G.bt[2].enabled)
+   if (diagram_shown())
       axis(C);
+   else if (G.cmp !== undefined || G.rank)
+      time_axis(C);
 
    C.ctx.restore();
 
-   buttons(C, C.width / 2, 20);
+   var by = buttons(C, C.width / 2, 20);
 
    if (G.bt[0].enabled)
-      caption(C, C.width / 2, G.bt[3].enabled ? 60 : 95);
+      caption(C, C.width / 2, by + (G.bt[3].enabled ? 15 : 50));
 
    C.ctx.save();
    C.ctx.translate(C.width * BORDER, C.height * BORDER);
@@ -591,6 +1613,7 @@ function draw_data(setup)
       C.ctx.setLineDash([6, 3, 2, 3]);
       draw_moments_map(C, setup.course.nodes);
       C.ctx.setLineDash([]);
+      draw_course_marks(C, setup.course.nodes);
    }
 
    for (var i = 0; i < setup.teams.length; i++)
@@ -601,27 +1624,93 @@ function draw_data(setup)
          C.ctx.strokeStyle = "#" + setup.teams[i].colour + "e0";
       C.ctx.lineWidth = G.mo_index == i ? 3 : 1;
 
-      if (!setup.teams[i].visible && G.mo_index != i)
+      if (!team_shown(setup.teams[i]))
+         continue;
+
+      var moments = setup.teams[i].data.moments;
+      if (t_rep !== undefined)
+      {
+         var pos = RaceMath.interpolate(moments, t_rep);
+         moments = moments_until(moments, t_rep);
+         if (G.bt[1].enabled && pos !== undefined)
+         {
+            C.ctx.fillStyle = "#" + setup.teams[i].colour + "ff";
+            draw_marker_map(C, pos);
+         }
+      }
+
+      if ((!setup.teams[i].visible && G.mo_index != i) || !moments.length)
          continue;
 
       if (G.bt[1].enabled)
-         draw_moments_map(C, setup.teams[i].data.moments);
+         draw_moments_map(C, moments, i);
+
+      draw_best_run(C, moments);
+      if (button("LAPS").enabled)
+         draw_lap(C, setup.teams[i], moments);
 
-      if (G.bt[2].enabled)
+      if (diagram_shown())
       {
-         draw_moments(C, setup.teams[i].data.moments);
+         draw_moments(C, moments, i);
          C.ctx.fillStyle = "#" + setup.teams[i].colour + "10";
-         fill_moments(C, setup.teams[i].data.moments);
-         draw_marks(C, setup.teams[i].data.moments);
-         draw_v_avg(C, setup.teams[i].data.moments);
+         fill_moments(C, moments);
+         draw_marks(C, moments);
+         if (G.roll < 0)
+            draw_v_avg(C, moments, i);
+         else
+            draw_rolling(C, moments, rolling_[G.roll], i);
+         draw_vmg(C, moments, i);
+         if (button("ETA").enabled && t_rep === undefined)
+            draw_eta(C, setup.teams[i]);
       }
    }
+
+   if (G.cmp !== undefined)
+      draw_compare(C, setup, t_rep);
+   if (G.rank)
+      draw_rankings(C, setup, t_rep);
+
+   // current replay time in diagram
+   if (t_rep !== undefined && (G.bt[2].enabled || G.cmp !== undefined || G.rank))
+   {
+      C.ctx.strokeStyle = col_.cap;
+      C.ctx.lineWidth = 1;
+      C.ctx.beginPath();
+      C.ctx.moveTo((t_rep - C.t_min) * C.sx, 0);
+      C.ctx.lineTo((t_rep - C.t_min) * C.sx, C.height);
+      C.ctx.stroke();
+   }
    C.ctx.restore();
 
+   if (t_rep !== undefined)
+      replay_bar(C, C.height - BUTTONH - 10);
+   else
+      clear_coords(G.rc);
+
    if (G.bt[3].enabled)
       leaderboard(C, TEXTX, 20, setup);
    else
-      colorboard(C, C.width / 2, 60, setup);
+      colorboard(C, C.width / 2, by + 15, setup);
+
+   // tables
+   var ty = by + 50;
+   if (button("ETA").enabled)
+      ty += eta_table(C, C.width / 2, ty, setup) + 10;
+   if (button("GATES").enabled)
+      ty += gates_table(C, C.width / 2, ty, setup) + 10;
+   if (G.cmp !== undefined)
+      ty += compare_table(C, C.width / 2, ty, setup) + 10;
+   if (button("SUN").enabled)
+      ty += sun_table(C, C.width / 2, ty, setup) + 10;
+   if (button("LAPS").enabled)
+      ty += laps_table(C, C.width / 2, ty, setup) + 10;
+   if (button("MARKS").enabled)
+      ty += marks_table(C, C.width / 2, ty, setup) + 10;
+
+   if (G.hover !== undefined)
+      tooltip(C, G.hover);
+
+   draw_status(C);
 }
 
 
@@ -642,8 +1731,42 @@ function handle_mouse_pos(e)
    var mx = e.pageX - document.getElementById("chart").getBoundingClientRect().left;
    var my = e.pageY - document.getElementById("chart").getBoundingClientRect().top;
 
-   G.mo_index = match_array_coords(mx, my, setup_.teams);
+   // pan the map
+   if (G.map.drag !== undefined && (e.buttons & 1))
+   {
+      G.map.x = G.map.drag.x + (mx - G.map.drag.mx) / (1 - BORDER * 2);
+      G.map.y = G.map.drag.y + (my - G.map.drag.my) / (1 - BORDER * 2);
+      if (Math.hypot(mx - G.map.drag.mx, my - G.map.drag.my) > 3)
+         G.map.dragged = 1;
+   }
+
+   G.mx = mx;
+   G.my = my;
+   var b = match_array_coords(mx, my, G.board);
+   G.mo_index = b < 0 ? -1 : G.board[b].ti;
    G.bt_index = match_array_coords(mx, my, G.bt);
+   G.rc_index = match_array_coords(mx, my, G.rc);
+   G.hover = G.mo_index < 0 && G.bt_index < 0 && G.rc_index < 0 && G.map.drag === undefined ? match_hit(mx, my) : undefined;
+   // hovering over a line of the rankings chart selects the boat
+   if (G.hover !== undefined && G.hover.rank)
+      G.mo_index = setup_.teams.indexOf(G.hover.team);
+}
+
+
+/*! This function returns the track point which is closest to x/y within a
+ * distance of HITDIST pixels, or undefined if there is none.
+ */
+function match_hit(x, y)
+{
+   var hit, d, dmin = HITDIST;
+
+   for (var i = 0; i < G.hit.length; i++)
+      if ((d = Math.hypot(G.hit[i].x - x, G.hit[i].y - y)) < dmin)
+      {
+         dmin = d;
+         hit = G.hit[i];
+      }
+   return hit;
 }
 
 
@@ -652,6 +1775,9 @@ function handle_mouse_pos(e)
 function mouse_move_handler(e)
 {
    handle_mouse_pos(e);
+   // drag replay slider
+   if (G.rc_index == 2 && (e.buttons & 1))
+      replay_seek(G.mx);
    update_graph();
 }
 
@@ -662,10 +1788,23 @@ function mouse_move_handler(e)
  */
 function mouse_click_handler(e)
 {
-   if (G.mo_index >= 0 && G.mo_index < setup_.teams.length)
+   // ignore the click at the end of panning the map
+   if (G.map.dragged)
+   {
+      G.map.dragged = 0;
+      return;
+   }
+
+   if (G.rc_index >= 0)
+      replay_click(G.rc_index);
+   else if (G.mo_index >= 0 && G.mo_index < setup_.teams.length)
       setup_.teams[G.mo_index].visible ^= 1;
    else if (G.bt_index >= 0)
+   {
       G.bt[G.bt_index].enabled ^= 1;
+      if (G.bt[G.bt_index].click)
+         G.bt[G.bt_index].click(G.bt[G.bt_index]);
+   }
    else
    {
       cur_scheme_ = (cur_scheme_ + 1) % cscheme_.length;
@@ -676,58 +1815,572 @@ function mouse_click_handler(e)
 }
 
 
+/*! Return the button object with the given name.
+ */
+function button(name)
+{
+   return G.bt.find(b => b.name == name);
+}
+
+
+/*! This function sorts the teams either by line honours (dtf of the
+ * leaderboard) or by corrected time, depending on the state of the CORRECTED
+ * button. It also updates the names displayed in the leaderboard.
+ */
+function update_standings()
+{
+   var corrected = button("CORRECTED").enabled;
+
+   for (var i = 0; i < setup_.teams.length; i++)
+      setup_.teams[i].display_name = display_string(setup_.teams[i], corrected);
+
+   if (corrected)
+      setup_.teams.sort(cmp_corrected);
+   else
+      setup_.teams.sort((a, b) => (a.board && b.board && a.board.dtf - b.board.dtf));
+}
+
+
+/*! This function returns the name of a time window of t seconds, e.g. "6h"
+ * or "7d".
+ */
+function window_str(t)
+{
+   return t % 86400 || t < 2 * 86400 ? t / 3600 + "h" : t / 86400 + "d";
+}
+
+
+/*! This function is the click handler of the SPEED button. It selects the
+ * next time window of the speed curves (see rolling_), after the last one the
+ * speed per leg is shown again.
+ */
+function next_speed(bt)
+{
+   G.roll = G.roll + 1 < rolling_.length ? G.roll + 1 : -1;
+   bt.enabled = G.roll >= 0 ? 1 : 0;
+   bt.label = "SPEED: " + (G.roll >= 0 ? window_str(rolling_[G.roll]) : "LEG");
+}
+
+
+/*! This function is the click handler of the COMPARE button. It selects the
+ * next selected (sticky) boat as reference of the comparison, after the last
+ * one the comparison is switched off.
+ */
+function next_compare(bt)
+{
+   var sel = setup_.teams.filter(team => team.visible && team_shown(team) && team.data.moments.length);
+   var k = sel.indexOf(G.cmp);
+
+   G.cmp = k + 1 < sel.length ? sel[k + 1] : undefined;
+   bt.enabled = G.cmp !== undefined ? 1 : 0;
+   bt.label = "COMPARE: " + (G.cmp !== undefined ? G.cmp.name : "OFF");
+   if (!sel.length)
+      set_status("Click on the names of the boats to compare first.", false, 5);
+   // the comparison replaces the rankings chart
+   if (G.cmp !== undefined && G.rank)
+   {
+      G.rank = 0;
+      button("RANKS").enabled = 0;
+      button("RANKS").label = "RANKS: OFF";
+   }
+}
+
+
+/*! This function is the click handler of the RANKS button. It switches the
+ * rankings chart between ranking by DTF, by corrected time, and off.
+ */
+function next_rank(bt)
+{
+   G.rank = (G.rank + 1) % 3;
+   bt.enabled = G.rank ? 1 : 0;
+   bt.label = "RANKS: " + ["OFF", "DTF", "CORRECTED"][G.rank];
+   // the rankings chart replaces the comparison
+   if (G.rank && G.cmp !== undefined)
+   {
+      G.cmp = undefined;
+      button("COMPARE").enabled = 0;
+      button("COMPARE").label = "COMPARE: OFF";
+   }
+}
+
+
+/*! This function returns true if the distance diagram is shown, which is
+ * replaced by the comparison or the rankings chart if one of them is active.
+ */
+function diagram_shown()
+{
+   return G.bt[2].enabled && G.cmp === undefined && !G.rank;
+}
+
+
+/*! This function is the click handler of the CLASS button. It selects the
+ * next class, after the last class all classes are shown again.
+ */
+function next_class(bt)
+{
+   G.cls = G.cls + 1 < setup_.classes.length ? G.cls + 1 : -1;
+   bt.enabled = G.cls >= 0 ? 1 : 0;
+   bt.label = "CLASS: " + (G.cls >= 0 ? setup_.classes[G.cls].name : "ALL");
+}
+
+
+/*! The mouse down handler starts panning the map if the mouse is not over
+ * any other control.
+ */
+function mouse_down_handler(e)
+{
+   handle_mouse_pos(e);
+   G.map.dragged = 0;
+   if (G.bt[1].enabled && G.mo_index < 0 && G.bt_index < 0 && G.rc_index < 0)
+      G.map.drag = {mx: G.mx, my: G.my, x: G.map.x, y: G.map.y};
+}
+
+
+/*! The mouse up handler stops panning the map.
+ */
+function mouse_up_handler(e)
+{
+   G.map.drag = undefined;
+}
+
+
+/*! The mouse wheel handler zooms the map.
+ */
+function mouse_wheel_handler(e)
+{
+   if (!G.bt[1].enabled)
+      return;
+
+   e.preventDefault();
+   handle_mouse_pos(e);
+   map_zoom(e.deltaY < 0 ? 1.25 : 0.8, G.mx, G.my);
+   update_graph();
+}
+
+
+/*! This function is the click handler of the PROJ button. It switches to the
+ * next projection and recalculates the map.
+ */
+function next_projection(bt)
+{
+   var i = PROJECTIONS.findIndex(p => new p().name == proj_.name);
+   change_projection(new PROJECTIONS[(i + 1) % PROJECTIONS.length]().name);
+}
+
+
+/*! This function sets the projection with the given name, centered on the
+ * fleet, and recalculates the map. The zoom of the map is reset.
+ */
+function change_projection(name)
+{
+   G.proj = set_projection(name, fleet_center(setup_)).name;
+   button("PROJ").label = "PROJ: " + G.proj.toUpperCase();
+   button("PROJ").enabled = G.proj != "spilhaus" ? 1 : 0;
+   G.map.zoom = 1;
+   G.map.x = G.map.y = 0;
+   calc_chart();
+}
+
+
+/*! This function is the click handler of the REPLAY button. It initializes
+ * the replay time when the replay mode is enabled. When disabled, the replay
+ * is stopped and the sunrise/sunset line is reset to the current time (see
+ * draw_data()).
+ */
+function toggle_replay(bt)
+{
+   if (bt.enabled)
+   {
+      if (G.replay.t === undefined)
+         G.replay.t = G.replay.t0;
+   }
+   else
+   {
+      G.replay.playing = 0;
+      G.sun = undefined;
+   }
+}
+
+
+/*! Set the replay time according to the x coordinate of the time slider.
+ */
+function replay_seek(x)
+{
+   var sl = G.rc[2];
+   G.replay.t = G.replay.t0 + (G.replay.t1 - G.replay.t0) * Math.min(Math.max((x - sl.x0) / (sl.x1 - sl.x0), 0), 1);
+}
+
+
+/*! This function handles clicks onto the replay controls.
+ */
+function replay_click(n)
+{
+   switch (G.rc[n].name)
+   {
+      case "PLAY":
+         G.replay.playing ^= 1;
+         if (G.replay.playing)
+         {
+            if (G.replay.t >= G.replay.t1)
+               G.replay.t = G.replay.t0;
+            G.replay.ts = undefined;
+            requestAnimationFrame(replay_step);
+         }
+         break;
+      case "SPEED":
+         G.replay.speed = (G.replay.speed + 1) % REPLAY_SPEEDS.length;
+         break;
+      case "SLIDER":
+         replay_seek(G.mx);
+         break;
+   }
+}
+
+
+/*! This function is the animation callback of the replay. It advances the
+ * replay time according to the elapsed real time and the replay speed.
+ */
+function replay_step(ts)
+{
+   if (!G.replay.playing || !button("REPLAY").enabled)
+      return;
+
+   if (G.replay.ts !== undefined)
+      G.replay.t += (ts - G.replay.ts) / 1000 * REPLAY_SPEEDS[G.replay.speed].v;
+   G.replay.ts = ts;
+
+   if (G.replay.t >= G.replay.t1)
+   {
+      G.replay.t = G.replay.t1;
+      G.replay.playing = 0;
+   }
+
+   update_graph();
+   if (G.replay.playing)
+      requestAnimationFrame(replay_step);
+}
+
+
 /*! This function is a wrapper for draw_data(). It is called by the window
  * resize event.
  */
 function update_graph()
 {
-   draw_data(setup_);
+   if (setup_ === undefined)
+   {
+      var canvas = document.getElementById("chart");
+      canvas.width = window.innerWidth;
+      canvas.height = window.innerHeight;
+      document.body.style.backgroundColor = col_.bg;
+      draw_status({ctx: canvas.getContext("2d"), width: canvas.width, height: canvas.height});
+   }
+   else
+      draw_data(setup_);
 }
 
 
-/*! This function initially fetches the race data from the YB server.
- * FIXME: The subpath "ggr2022" should be replaced by a variable.
+/*! This function sets the status message which is shown on the canvas, e.g.
+ * the progress of loading the data or an error message.
+ * @param text The message, undefined removes the message.
+ * @param error Set to true if it is an error message.
+ * @param timeout Optional time in seconds after which the message is removed.
  */
-function get_data(server, race, init_func = function(){}, bin = true)
+function set_status(text, error = false, timeout = 0)
 {
-   var t = '?t=' + Math.floor(time() / 300);
-   fetch(server + '/JSON/' + race + '/leaderboard' + t)
-   .then((response) => response.json())
-   .then((board) => {
-   fetch(server + '/JSON/' + race + '/RaceSetup' + t)
-   .then((response) => response.json())
-   .then(function(setup) {
-      function prep_data(data)
+   var status = G.status = text === undefined ? undefined : {text: text, error: error};
+   if (timeout > 0)
+      setTimeout(function(){if (G.status === status) set_status(undefined);}, timeout * 1000);
+   update_graph();
+}
+
+
+/*! This function draws the status message into the center of the canvas.
+ */
+function draw_status(C)
+{
+   if (G.status === undefined)
+      return;
+
+   var text = G.status.text.split("\n");
+   var w = 0, b = 20, h = 20 * (text.length + .5);
+
+   C.ctx.save();
+   C.ctx.font = "16px sans-serif";
+   for (var i = 0; i < text.length; i++)
+      w = Math.max(w, C.ctx.measureText(text[i]).width);
+   w += b;
+
+   C.ctx.translate((C.width - w) / 2, (C.height - h) / 2);
+   C.ctx.fillStyle = G.status.error ? col_.bteh : col_.xbgh;
+   C.ctx.fillRect(0, 0, w, h);
+   C.ctx.fillStyle = col_.tx;
+   for (var i = 0; i < text.length; i++)
+      C.ctx.fillText(text[i], b / 2, 20 * (i + 1));
+   C.ctx.restore();
+}
+
+
+/*! This function fetches a JSON file from the server. It rejects with an
+ * error message if the server is not reachable, if it returns an HTTP error,
+ * or if the data is not valid JSON.
+ * @return Returns a promise for the decoded JSON data.
+ */
+function fetch_json(url)
+{
+   return fetch_ok(url)
+      .then((response) => response.json()
+         .catch((e) => {throw new Error("malformed JSON data in " + url)}));
+}
+
+
+/*! This function loads the gates given by the URL parameter gates, which is
+ * either a JSON array of gates or the URL of a JSON file containing it.
+ * @return Returns a promise for the array of gates, or for undefined if no
+ * gates are given.
+ */
+function load_gates(src)
+{
+   if (src === undefined || src === null || src == "")
+      return Promise.resolve(undefined);
+
+   var gates = /^\s*\[/.test(src) ? Promise.resolve().then(() => JSON.parse(src)) : fetch_json(src);
+   return gates.then((gates) => {
+         if (!Array.isArray(gates))
+            throw new Error("the gates are not an array");
+         return gates;
+      });
+}
+
+
+/*! This function fetches an URL and checks the HTTP status.
+ * @return Returns a promise for the response.
+ */
+function fetch_ok(url)
+{
+   return fetch(url)
+      .then((response) => {
+            if (!response.ok)
+               throw new Error("HTTP error " + response.status + " " + response.statusText + " for " + url);
+            return response;
+         },
+         (e) => {throw new Error("cannot fetch " + url + " (" + e.message + ")")});
+}
+
+
+/*! This function fetches the track data (AllPositions3) from the server.
+ * @param t Cache buster URL parameter.
+ * @param bin If true, the binary version is fetched and decoded, otherwise the
+ * JSON version.
+ * @return Returns a promise for the track data.
+ */
+function fetch_positions(server, race, t, bin)
+{
+   var url = server + '/BIN/' + race + '/AllPositions3' + t;
+   var data = bin ?
+      fetch_ok(url)
+         .then((response) => response.arrayBuffer())
+         .then(function(bindata)
+         {
+            try
+            {
+               return parse(bindata);
+            }
+            catch (e)
+            {
+               throw new Error("malformed binary track data in " + url + " (" + e.message + ")");
+            }
+         }) :
+      fetch_json(server + '/JSON/' + race + '/AllPositions3.json' + t);
+
+   return data.then(function(data)
+   {
+      if (!Array.isArray(data))
+         throw new Error("the track data contains no teams");
+      return data;
+   });
+}
+
+
+/*! This function checks the sections of the leaderboard and the RaceSetup.
+ * Missing optional sections are replaced by empty ones.
+ * @return Returns a list of the missing sections.
+ */
+function check_data(setup, board)
+{
+   var missing = [];
+
+   if (!Array.isArray(setup.teams))
+      throw new Error("the RaceSetup contains no teams");
+   if (!Array.isArray(board.tags))
+   {
+      board.tags = [];
+      missing.push("leaderboard");
+   }
+   if (!setup.course || !Array.isArray(setup.course.nodes) || !setup.course.nodes.length)
+   {
+      setup.course = {nodes: [], distance: 0};
+      missing.push("course");
+   }
+   if (!setup.poi || !Array.isArray(setup.poi.lines))
+   {
+      setup.poi = {lines: []};
+      missing.push("points of interest");
+   }
+   return missing;
+}
+
+
+/*! This function returns true if the team is still racing.
+ */
+function racing(team)
+{
+   return team.status == "RACING" && !team.hasOwnProperty("finishedAt");
+}
+
+
+/*! This function is called periodically to move the daylight border to the
+ * current time. It does nothing during a replay and stops if the race is over.
+ */
+function sun_tick()
+{
+   if (!setup_.teams.some(racing))
+   {
+      clearInterval(G.sun_timer);
+      G.sun_timer = undefined;
+   }
+   else if (replay_time() === undefined)
+      update_graph();
+}
+
+
+/*! This function fetches the leaderboard, the RaceSetup, and the track data
+ * again and merges the new moments into the existing data. Only the teams with
+ * new moments are recalculated. The visibility of the teams, the view and the
+ * color scheme are kept. Polling stops if no team is racing anymore.
+ * @param refresh Refresh interval in seconds, used for the cache buster.
+ */
+function refresh_data(server, race, bin, refresh)
+{
+   var t = '?t=' + Math.floor(time() / refresh);
+
+   Promise.all([
+      fetch_json(server + '/JSON/' + race + '/leaderboard' + t),
+      fetch_json(server + '/JSON/' + race + '/RaceSetup' + t),
+      fetch_positions(server, race, t, bin)
+   ])
+   .then(([board, setup, data]) => {
+      check_data(setup, board);
+      link_board(setup_, board);
+      for (var i = 0; i < setup_.teams.length; i++)
       {
-         init_func(setup, data, board);
-         link_data(setup, data, board);
-         setup_ = setup;
-         gen_grid();
-         gen_poi(setup.poi.lines);
-         gen_sunrise(new Date());
-         calc_chart();
-         RaceMath.calc_course(setup.course.nodes);
-         calc_data(setup);
-         setup.teams.sort((a, b) => (a.board && b.board && a.board.dtf - b.board.dtf));
-         //document.getElementById("pre").innerHTML = JSON.stringify(data, null, 2);
-         document.title = setup.title;
-         update_graph();
+         var team = setup_.teams[i];
+         var st = setup.teams.find(d => d.id == team.id);
+         if (st !== undefined)
+         {
+            team.status = st.status;
+            if (st.hasOwnProperty("finishedAt"))
+               team.finishedAt = st.finishedAt;
+         }
+
+         var n = merge_moments(team, data);
+         if (n)
+            calc_team(team, setup_, G.tcf, n);
+         else
+         {
+            // the status may have changed, e.g. the team has finished
+            calc_corrected(team, setup_, G.tcf);
+            calc_eta(team, setup_);
+            team.display_name = display_string(team);
+         }
       }
 
-      if (bin)
+      update_standings();
+      // stop polling if all teams finished or retired
+      if (!setup_.teams.some(racing))
       {
-         fetch(server + '/BIN/' + race + '/AllPositions3' + t)
-         .then((response) => response.arrayBuffer())
-         .then((bindata) => parse(bindata))
-         .then((data) => prep_data(data))
+         clearInterval(G.refresh);
+         G.refresh = undefined;
       }
+      // remove the error message of a previous refresh
+      if (G.status !== undefined && G.status.error)
+         G.status = undefined;
+      update_graph();
+   })
+   .catch((e) => set_status("Refreshing the race data failed:\n" + e.message, true));
+}
+
+
+/*! This function initially fetches the race data from the YB server.
+ * @param refresh Interval in seconds to poll the server for new data. Polling
+ * is only done if there is at least one team still racing. 0 disables it.
+ */
+function get_data(server, race, init_func = function(){}, bin = true, refresh = 300)
+{
+   var t = '?t=' + Math.floor(time() / 300);
+   var board, setup, missing;
+
+   set_status("Loading leaderboard of " + race + "...");
+   fetch_json(server + '/JSON/' + race + '/leaderboard' + t)
+   .then(function(data)
+   {
+      board = data;
+      set_status("Loading RaceSetup of " + race + "...");
+      return fetch_json(server + '/JSON/' + race + '/RaceSetup' + t);
+   })
+   .then(function(data)
+   {
+      setup = data;
+      missing = check_data(setup, board);
+      if (G.gates)
+         set_status("Loading gates...");
+      return load_gates(G.gates);
+   })
+   .then(function(gates)
+   {
+      if (gates !== undefined)
+         setup.gates = gates;
+      set_status("Loading track data of " + race + "...");
+      return fetch_positions(server, race, t, bin);
+   })
+   .then(function(data)
+   {
+      set_status("Calculating...");
+      init_func(setup, data, board);
+      link_data(setup, data, board);
+      calc_classes(setup, board);
+      setup.classes.forEach((c, i) => c.colour = CLASS_COLOURS[i % CLASS_COLOURS.length]);
+      setup_ = setup;
+      set_projection(G.proj);
+      gen_grid();
+      gen_poi(setup.poi.lines);
+      gen_gates(Array.isArray(setup.gates) ? setup.gates : []);
+      change_projection(G.proj);
+      RaceMath.calc_course(setup.course.nodes);
+      calc_data(setup, G.tcf);
+      update_standings();
+      //document.getElementById("pre").innerHTML = JSON.stringify(data, null, 2);
+      document.title = setup.title;
+
+      var nodata = setup.teams.filter(team => !team.data.moments.length).length;
+      if (nodata)
+         missing.push("track data of " + nodata + " team" + (nodata > 1 ? "s" : ""));
+      var msg = G.url_errors.slice();
+      if (missing.length)
+         msg.push("Missing in the race data: " + missing.join(", "));
+      if (msg.length)
+         set_status(msg.join("\n"), G.url_errors.length > 0, 10);
       else
-      {
-         fetch(server + '/JSON/' + race + '/AllPositions3.json' + t)
-         .then((response) => response.json())
-         .then((data) => prep_data(data))
-      }
+         set_status(undefined);
+
+      // move the daylight border to the current time
+      if (G.sun_timer === undefined && setup.teams.some(racing))
+         G.sun_timer = setInterval(sun_tick, SUN_UPDATE * 1000);
+      if (refresh > 0 && G.refresh === undefined && setup.teams.some(racing))
+         G.refresh = setInterval(function(){refresh_data(server, race, bin, refresh)}, refresh * 1000);
    })
+   .catch(function(e)
+   {
+      set_status("Loading race " + race + " failed:\n" + e.message, true);
    });
 }
 
@@ -739,6 +2392,9 @@ function add_events()
    window.addEventListener('resize', function(e){update_graph()});
    document.getElementById("chart").addEventListener('mousemove', function(e){mouse_move_handler(e);});
    document.getElementById("chart").addEventListener('click', function(e){mouse_click_handler(e);});
+   document.getElementById("chart").addEventListener('mousedown', function(e){mouse_down_handler(e);});
+   document.getElementById("chart").addEventListener('wheel', function(e){mouse_wheel_handler(e);}, {passive: false});
+   window.addEventListener('mouseup', function(e){mouse_up_handler(e);});
 }
 
 window.addEventListener('load', add_events);
@@ -0,0 +1,67 @@
+/*! This is the ES module version of the library for the browser, e.g.
+ * `import { parse, RaceMath } from "./decyb.mjs";`. The code is written as
+ * plain scripts which share the global scope. Thus, the scripts are loaded as
+ * classic scripts in the same order as in decyb.html and the public functions
+ * are exported thereafter. The lists of exports are generated by
+ * tools/esm.js.
+ *
+ * \file decyb.mjs
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+//! files to load, in this order
+const FILES = ["adams.js", "racemath.js", "decoder.js", "math.js", "projection.js"];
+
+
+/*! This function loads the script src as classic script.
+ */
+function load_script(src)
+{
+   return new Promise((resolve, reject) =>
+   {
+      var s = document.createElement("script");
+      s.src = src;
+      s.charset = "UTF-8";
+      s.onload = resolve;
+      s.onerror = () => reject(new Error("cannot load " + src));
+      document.head.appendChild(s);
+   });
+}
+
+
+for (const f of FILES)
+   // scripts which are already included by the page are not loaded twice
+   if (document.querySelector("script[src$='" + f + "']") === null)
+      await load_script(new URL(f, import.meta.url).href);
+
+// const and class declarations are not properties of globalThis, thus they
+// are collected by an indirect eval within the global scope, the lists are
+// generated from EXPORTS of index.js by "npm run esm"
+const lib = (0, eval)(`({
+   parse, encode, CMath, RaceMath, LAT, LON, MIN, DEC, coord_str, dur_str, time,
+   moments_until, display_string, calc_corrected, cmp_corrected, calc_eta,
+   eta_time, date_str, calc_rolling, DEFAULT_GATES, add_mark, gate_nodes,
+   calc_gates, gate_time, SUN_ALTS, sun_pos, sun_hour_angle, sun_day, sun_next,
+   team_laps, team_course, calc_laps, team_lap, lap_times, missed_marks,
+   rank_value, calc_rankings, calc_team, calc_data, merge_moments, fleet_center,
+   link_board, link_data, calc_classes, lonmod, transcoord, trans_spilhaus,
+   coords_xy, adams_square_ii, Projection, SpilhausProjection,
+   MercatorProjection, EquirectangularProjection, OrthographicProjection,
+   LambertProjection, PROJECTIONS, set_projection
+})`);
+
+export const {
+   parse, encode, CMath, RaceMath, LAT, LON, MIN, DEC, coord_str, dur_str, time,
+   moments_until, display_string, calc_corrected, cmp_corrected, calc_eta,
+   eta_time, date_str, calc_rolling, DEFAULT_GATES, add_mark, gate_nodes,
+   calc_gates, gate_time, SUN_ALTS, sun_pos, sun_hour_angle, sun_day, sun_next,
+   team_laps, team_course, calc_laps, team_lap, lap_times, missed_marks,
+   rank_value, calc_rankings, calc_team, calc_data, merge_moments, fleet_center,
+   link_board, link_data, calc_classes, lonmod, transcoord, trans_spilhaus,
+   coords_xy, adams_square_ii, Projection, SpilhausProjection,
+   MercatorProjection, EquirectangularProjection, OrthographicProjection,
+   LambertProjection, PROJECTIONS, set_projection
+} = lib;
+
+export default lib;
@@ -10,6 +10,32 @@ const LON = 0x01;
 const LAT = 0x00;
 const MIN = 0x02;
 const DEC = 0x04;
+//! min. average speed, slower moments are treated as gaps of no movement
+var MIN_AVG = 0;
+//! time windows in seconds of the rolling averages (see RaceMath.calc_rolling())
+var rolling_ = [6 * 3600, 24 * 3600, 7 * 86400];
+//! time window in seconds of the best run
+const BEST_RUN = 24 * 3600;
+//! options of cleaning the track data (see RaceMath.clean_track()), dropping
+//! outliers and flagging gaps is off unless enabled by the user
+var clean_ = Object.assign({}, RaceMath.CLEAN_DEFAULTS, {v_max: 0, gap: 0});
+//! altitudes of the sun in degrees at sunrise/sunset, and at the end of the
+//! civil and the nautical twilight
+const SUN_ALTS = [-0.833, -6, -12];
+//! size in degrees of the cells of the night shading (see calc_night())
+const NIGHT_STEP = 2;
+//! shade the twilight bands
+var twilight_ = false;
+//! grid of the night shading, the projected corners of the cells and the
+//! level of the night of each cell (see calc_night_grid() and calc_night())
+var night_ = {grid: [], level: [], levels: 0};
+//! gates which are used if the RaceSetup defines none (see calc_gates())
+const DEFAULT_GATES =
+[
+   {name: "Equator", nodes: "0,-180,0,180"},
+   {name: "Date line", nodes: "-90,180,90,180"},
+   {name: "Cape Horn", nodes: "-55.98,-67.292,-90,-67.292"}
+];
 
 /*! Format number into nautical coordinate format.
  */
@@ -27,7 +53,7 @@ function coord_str(pos, flags)
    var dir;
    var pad;
 
-   if (flags)
+   if (flags & LON)
    {
       dir = neg ? 'W' : 'E';
       pad = pos < 10 ? '00' : (pos < 100 ? '0' : '');
@@ -42,51 +68,101 @@ function coord_str(pos, flags)
 }
 
 
+/*! Format a duration given in seconds into the format "[Nd ]hh:mm".
+ */
+function dur_str(t)
+{
+   t = Math.round(t / 60);
+   var d = Math.floor(t / 1440);
+   var h = Math.floor(t / 60) % 24;
+   var m = t % 60;
+
+   return (d ? d + "d " : "") + (h < 10 ? "0" : "") + h + ":" + (m < 10 ? "0" : "") + m;
+}
+
+
+/*! Format a Unix timestamp as date and time string "YYYY-MM-DD hh:mm" (UTC).
+ */
+function date_str(t)
+{
+   return new Date(t * 1000).toISOString().substring(0, 16).replace("T", " ");
+}
+
+
 function cmp_id(a, b)
 {
    return a.id - b.id;
 }
 
 
-/*! Find if a boat passes a specific coordinate.
- * @param moments Array of trackpoints.
- * @param dim Dimension, is either LAT or LON.
- * @param val The value of the dimension in decimal degrees.
+/*! Add a mark (e.g. the name of a gate) to a moment. The marks are shown in
+ * the distance diagram.
  */
-function find_pass(moments, dim, val)
+function add_mark(m, name)
 {
-   var dims = dim == LAT ? "lat" : "lon";
-   var v0, v1;
-   for (var i = moments.length - 1; i > 0; i--)
-   {
-      v0 = moments[i][dims];
-      v1 = moments[i - 1][dims];
+   if (m.marks === undefined)
+      m.marks = [];
+   if (!m.marks.includes(name))
+      m.marks.push(name);
+}
 
-      // catch longitude wrapping
-      if (v0 - v1 >= 180)
-         v1 = 360 + v1;
-      else if (v0 - v1 <= -180)
-         v1 = -360 + v1;
 
-      if ((v0 >= val && v1 < val) || (v0 <= val && v1 > val))
-         moments[i].name = coord_str(val, dim);
+/*! This function returns the two ends of a gate as an array of positions
+ * [{lat, lon}, {lat, lon}]. The nodes of a gate are either a string
+ * "lat0,lon0,lat1,lon1" as the lines of the POIs of the RaceSetup, or an array
+ * of two positions.
+ * @return Returns the array, or undefined if the gate is invalid.
+ */
+function gate_nodes(gate)
+{
+   var n = gate.nodes;
+
+   if (typeof n == "string")
+   {
+      var c = n.split(",").map(x => parseFloat(x));
+      n = [{lat: c[0], lon: c[1]}, {lat: c[2], lon: c[3]}];
    }
+
+   if (!Array.isArray(n) || n.length != 2 || n.some(p => !p || !isFinite(p.lat) || !isFinite(p.lon)))
+      return undefined;
+   return n;
 }
 
 
-/*! Find if a boat passes a specific latitude.
+/*! This function finds all crossings of a track with the gates. The names of
+ * the gates are added to the marks of the moments before the crossings.
+ * @param moments Array of trackpoints.
+ * @param gates Array of gates {name, nodes} (see gate_nodes()).
+ * @return Returns an array of passings {name, at, lat, lon} sorted by time.
  */
-function find_pass_lat(moments, lat)
+function calc_gates(moments, gates)
 {
-   return find_pass(moments, LAT, lat);
+   var passes = [];
+
+   for (var gate of gates)
+   {
+      var n = gate_nodes(gate);
+      if (n === undefined)
+         continue;
+      for (var c of RaceMath.cross_gate(moments, n[0], n[1]))
+      {
+         add_mark(moments[c.i], gate.name);
+         passes.push({name: gate.name, at: c.at, lat: c.lat, lon: c.lon});
+      }
+   }
+   return passes.sort((a, b) => a.at - b.at);
 }
 
 
-/*! Find if a boat passes a specific longitude.
+/*! This function returns the time of the first passing of a gate by a team up
+ * to time t.
+ * @return Returns the Unix timestamp or undefined if the team has not passed
+ * the gate.
  */
-function find_pass_lon(moments, lon)
+function gate_time(team, name, t = Infinity)
 {
-   return find_pass(moments, LON, lon);
+   var p = team.gates !== undefined ? team.gates.find(p => p.name == name && p.at <= t) : undefined;
+   return p !== undefined ? p.at : undefined;
 }
 
 
@@ -98,45 +174,417 @@ function time()
 }
 
 
+/*! This function returns the moments up to time t, i.e. all moments with
+ * at <= t. The moments are ordered descendingly.
+ */
+function moments_until(moments, t)
+{
+   return moments.slice(RaceMath.index_at(moments, t));
+}
+
+
 /*! Make strings to be displayed in the leaderboard.
+ * @param team Team object.
+ * @param corrected If set, the (projected) corrected time is appended.
+ */
+function display_string(team, corrected = 0)
+{
+   if (!team.data.moments.length)
+      return team.name + " (no data)";
+
+   var s = team.name + ", dist = " + team.data.moments[0].dist_tot.toFixed(1) + ", v_avg = " + team.v_avg.toFixed(2) + (team.status == "RACING" ? (team.board && team.board.dtf > 0 ? ", dtf = " + (team.board.dtf / 1852).toFixed(0) : "") : " (RETIRED)");
+
+   if (team.laps !== undefined && team.laps.n > 1)
+      s += ", lap = " + team_lap(team) + "/" + team.laps.n;
+
+   if (missed_marks(team).length)
+      s += ", MISSED " + missed_marks(team).join(", ");
+
+   if (corrected && team.hc !== undefined)
+      s += ", corrected = " + dur_str(team.hc.corrected) + (team.hc.projected ? " (projected)" : "");
+   else if (team.eta !== undefined && eta_time(team.eta) !== undefined)
+      s += ", ETA = " + date_str(eta_time(team.eta));
+
+   return s;
+}
+
+
+/*! This function calculates the handicap-corrected time of a team and stores
+ * it to team.hc (see RaceMath.corrected_time()). Finished boats get their
+ * corrected elapsed time, boats which are still racing get a projected
+ * corrected time. Retired boats and boats without sufficient data get no
+ * corrected time.
+ * @param team Team object with already calculated moments.
+ * @param setup The RaceSetup.
+ * @param tcf Number of the time correction factor to use (1, 2, or 3).
+ */
+function calc_corrected(team, setup, tcf = 1)
+{
+   var start = team.start !== undefined ? team.start : setup.start;
+   var f = RaceMath.tcf(team, tcf);
+
+   if (team.hasOwnProperty("finishedAt"))
+      team.hc = RaceMath.corrected_time(start, team.finishedAt, 0, team.v_avg, f);
+   else if (team.status == "RACING" && team.data.moments.length)
+   {
+      // the DTF calculated from the course (see RaceMath.has_dtf()) or the one of the leaderboard
+      var dtf = RaceMath.has_dtf(team.data.moments[0]) ? team.data.moments[0].dtf : undefined;
+      if (dtf === undefined && team.board)
+         dtf = team.board.dtf / 1852;
+      team.hc = RaceMath.corrected_time(start, team.data.moments[0].at, dtf, team.v_avg, f);
+   }
+   else
+      team.hc = undefined;
+}
+
+
+/*! This function calculates the estimated time of arrival of a team which is
+ * still racing and stores it to team.eta (see RaceMath.eta()). Nothing is
+ * calculated if the RaceSetup disables the estimated finish.
+ */
+function calc_eta(team, setup)
+{
+   var moments = team.data.moments;
+
+   team.eta = undefined;
+   if (setup.showEstimatedFinish === false || team.status != "RACING" || team.hasOwnProperty("finishedAt") || !moments.length)
+      return;
+
+   var dtf = RaceMath.has_dtf(moments[0]) ? moments[0].dtf : undefined;
+   if (dtf === undefined && team.board && team.board.dtf > 0)
+      dtf = team.board.dtf / 1852;
+   team.eta = RaceMath.eta(moments, dtf);
+}
+
+
+/*! This function returns the preferred estimated time of arrival of an ETA
+ * object, which is based on the 24 hours average, the 7 days average, or the
+ * overall VMG, whichever is available first.
+ */
+function eta_time(eta)
+{
+   return eta.t24 !== undefined ? eta.t24 : eta.t7d !== undefined ? eta.t7d : eta.tvmg;
+}
+
+
+/*! Compare function to sort teams by their corrected time. Teams without
+ * corrected time are sorted to the end.
+ */
+function cmp_corrected(a, b)
+{
+   if (a.hc === undefined || b.hc === undefined)
+      return (a.hc === undefined) - (b.hc === undefined);
+   return a.hc.corrected - b.hc.corrected;
+}
+
+
+/*! This function returns the value by which a team is ranked at time t.
+ * Teams which have finished are ranked by their finishing time ahead of the
+ * boats still racing, which are ranked by their DTF. If corrected is set, all
+ * teams are ranked by their (projected) corrected time, which is projected
+ * with the average speed of the team like calc_corrected() does.
+ * @return Returns the value, lower is better, or undefined if the team has
+ * no rank at time t, i.e. it has not started yet, it has retired, or its DTF
+ * is unknown.
+ */
+function rank_value(team, setup, t, corrected = false, tcf = 1)
+{
+   var moments = team.data.moments;
+   var start = team.start !== undefined ? team.start : setup.start;
+   var hc;
+
+   if (team.hasOwnProperty("finishedAt") && team.finishedAt <= t)
+   {
+      if (!corrected)
+         return team.finishedAt - t;
+      hc = RaceMath.corrected_time(start, team.finishedAt, 0, 0, RaceMath.tcf(team, tcf));
+      return hc !== undefined ? hc.corrected : undefined;
+   }
+
+   if (!moments.length || t < moments[moments.length - 1].at || (t > moments[0].at && team.status != "RACING"))
+      return undefined;
+
+   var m = RaceMath.interpolate(moments, t, ["dtf"]);
+   if (!isFinite(m.dtf))
+      return undefined;
+   if (!corrected)
+      return m.dtf;
+   hc = RaceMath.corrected_time(start, t, m.dtf, team.v_avg, RaceMath.tcf(team, tcf));
+   return hc !== undefined ? hc.corrected : undefined;
+}
+
+
+/*! This function calculates the ranks of the teams at regular intervals (see
+ * rank_value()).
+ * @param teams Array of the teams to rank.
+ * @param t0 Time of the first ranking.
+ * @param t1 Time of the last ranking.
+ * @param step Interval in seconds.
+ * @param corrected Rank by corrected time instead of DTF.
+ * @param tcf Number of the time correction factor.
+ * @return Returns an array of rankings {at, ranks} in ascending time order,
+ * ranks contains the rank (1, 2, ...) of each team or undefined.
+ */
+function calc_rankings(teams, setup, t0, t1, step, corrected = false, tcf = 1)
+{
+   var r = [];
+
+   for (var t = t0; t <= t1 && step > 0; t += step)
+   {
+      var v = teams.map(team => rank_value(team, setup, t, corrected, tcf));
+      var ranks = v.map(() => undefined);
+      v.map((x, i) => i).filter(i => v[i] !== undefined).sort((a, b) => v[a] - v[b]).forEach((i, k) => ranks[i] = k + 1);
+      r.push({at: t, ranks: ranks});
+   }
+   return r;
+}
+
+
+/*! This function calls the calculation functions above for the track of a
+ * team.
+ * @param team The team.
+ * @param setup The RaceSetup.
+ * @param tcf Number of the time correction factor used for the handicap.
+ * @param n Optional number of new moments at the beginning of the moments
+ * array (see merge_moments()). Only these moments are calculated
+ * incrementally, the moments removed by the cleaning are taken into account.
+ * By default all moments are calculated.
+ */
+function calc_team(team, setup, tcf = 1, n = undefined)
+{
+   var moments = team.data.moments;
+   // time of the latest moment which is already calculated
+   var t_calc = n !== undefined && n < moments.length ? moments[n].at : undefined;
+
+   RaceMath.clean_moments(moments, team.start, team.hasOwnProperty("finishedAt") ? Math.min(time(), team.finishedAt) : time());
+   // the cleaning may change older moments as well, which requires a full recalculation
+   if (RaceMath.clean_track(moments, clean_) || clean_.smooth == "median" || clean_.smooth == "kalman")
+      t_calc = undefined;
+   // teams without track data are shown in the leaderboard only
+   if (!moments.length)
+   {
+      team.t_move = team.v_avg = 0;
+      team.gates = [];
+      team.roundings = [];
+      calc_laps(team, setup);
+      calc_corrected(team, setup, tcf);
+      calc_eta(team, setup);
+      team.display_name = display_string(team);
+      return;
+   }
+
+   // the cleaning may have removed new and old moments, thus the new ones
+   // are counted again
+   if (t_calc !== undefined)
+      n = RaceMath.index_at(moments, t_calc);
+   if (t_calc === undefined || n >= moments.length)
+      team.t_move = RaceMath.calc_moments(moments, MIN_AVG);
+   else if (n > 0)
+      team.t_move += RaceMath.calc_moments(moments, MIN_AVG, n);
+
+   team.v_avg = moments[0].dist_tot * 3600 / team.t_move;
+   calc_rolling(moments);
+   var course = team_course(team, setup);
+   team.roundings = RaceMath.calc_roundings(moments, course, team.finishedAt);
+   RaceMath.calc_dtf(moments, course, team.roundings);
+   RaceMath.calc_vmg(moments);
+   calc_laps(team, setup);
+   calc_corrected(team, setup, tcf);
+   calc_eta(team, setup);
+   team.display_name = display_string(team);
+   // the marks of the gates and the roundings of previous calculations are
+   // removed, a rounding may move if the track data changes
+   for (var i = 0; i < moments.length; i++)
+      delete moments[i].marks;
+   team.gates = calc_gates(moments, Array.isArray(setup.gates) ? setup.gates : DEFAULT_GATES);
+   for (var r of team.roundings)
+      if (r.i !== undefined)
+         add_mark(moments[r.i], r.name);
+}
+
+
+/*! This function returns the names of the course marks which a team has
+ * missed (see RaceMath.calc_roundings()).
+ */
+function missed_marks(team)
+{
+   return team.roundings !== undefined ? team.roundings.filter(r => r.missed).map(r => r.name) : [];
+}
+
+
+/*! This function returns the number of laps of a team, which is maxLaps of
+ * the team or laps of the RaceSetup.
+ */
+function team_laps(team, setup)
+{
+   return Math.max(parseInt(team.maxLaps) || parseInt(setup.laps) || 1, 1);
+}
+
+
+/*! This function returns the course of a team. In case of a lap race it is
+ * the course unrolled for the number of laps of the team (see
+ * RaceMath.unroll_course()), the first lap starts at the course node of index
+ * lapz of the RaceSetup. The unrolled courses are cached in the RaceSetup.
+ */
+function team_course(team, setup)
+{
+   var n = team_laps(team, setup);
+   if (n <= 1)
+      return setup.course.nodes;
+
+   if (setup.lap_courses === undefined)
+      setup.lap_courses = {};
+   if (setup.lap_courses[n] === undefined)
+   {
+      setup.lap_courses[n] = RaceMath.unroll_course(setup.course.nodes, n, parseInt(setup.lapz) || 0);
+      RaceMath.calc_course(setup.lap_courses[n]);
+   }
+   return setup.lap_courses[n];
+}
+
+
+/*! This function calculates the laps of a team and stores them to team.laps
+ * as object {n, starts, finish}. n is the number of laps, starts is the array
+ * of the start times of the laps which have started (the 1st one is the start
+ * of the race), and finish is the finishing time if the team has finished.
  */
-function display_string(team)
+function calc_laps(team, setup)
 {
-   return team.name + ", dist = " + team.data.moments[0].dist_tot.toFixed(1) + ", v_avg = " + team.v_avg.toFixed(2) + (team.status == "RACING" ? (team.board && team.board.dtf > 0 ? ", dtf = " + (team.board.dtf / 1852).toFixed(0) : "") : " (RETIRED)");
+   var start = team.start !== undefined ? team.start : setup.start;
+   var moments = team.data.moments;
+   var n = team_laps(team, setup);
+
+   team.laps = {n: n, starts: [start], finish: team.hasOwnProperty("finishedAt") ? team.finishedAt : undefined};
+   if (n > 1 && moments.length)
+      for (var l of RaceMath.lap_starts(moments, team_course(team, setup)))
+         if (l.lap <= n)
+            team.laps.starts[l.lap - 1] = l.at;
+}
+
+
+/*! This function returns the number of the current lap of a team.
+ */
+function team_lap(team)
+{
+   return team.laps.starts.length;
+}
+
+
+/*! This function returns the lap times of a team in seconds. The current lap
+ * has no time unless the team has finished.
+ */
+function lap_times(team)
+{
+   var s = team.laps.starts;
+   var t = [];
+
+   for (var i = 0; i < s.length; i++)
+   {
+      var end = i + 1 < s.length ? s[i + 1] : i + 1 == team.laps.n ? team.laps.finish : undefined;
+      t.push(s[i] !== undefined && end !== undefined ? end - s[i] : undefined);
+   }
+   return t;
+}
+
+
+/*! This function calculates the rolling averages of all time windows of
+ * rolling_, of the best run, and of the ETA (see RaceMath.eta()).
+ */
+function calc_rolling(moments)
+{
+   for (var t of new Set([...rolling_, BEST_RUN, ...RaceMath.ETA_WINDOWS]))
+      RaceMath.calc_rolling(moments, t);
 }
 
 
 /*! This function just calls the calculation functions above for each track.
+ * @param setup The RaceSetup with the linked data (see link_data()).
+ * @param tcf Number of the time correction factor used for the handicap.
+ */
+function calc_data(setup, tcf = 1)
+{
+   for (var i = 0; i < setup.teams.length; i++)
+      calc_team(setup.teams[i], setup, tcf);
+}
+
+
+/*! This function merges the moments of a new download of the track data into
+ * the moments of a team. Only moments which are newer than the latest known
+ * moment are added.
+ * @param team The team.
+ * @param data The new track data (array of {id, moments}).
+ * @return Returns the number of moments which were added.
+ */
+function merge_moments(team, data)
+{
+   var d = data.find(d => d.id == team.id);
+   if (d === undefined)
+      return 0;
+
+   var moments = team.data.moments;
+   var n = moments.length ? RaceMath.index_at(d.moments, moments[0].at) : d.moments.length;
+   moments.unshift(...d.moments.slice(0, n));
+   return n;
+}
+
+
+/*! This function calculates the center of the fleet, which is the mean of the
+ * latest positions of all teams on the sphere.
+ * @return Returns the center {lat, lon}.
  */
-function calc_data(setup)
+function fleet_center(setup)
 {
+   var x = 0, y = 0, z = 0;
+
    for (var i = 0; i < setup.teams.length; i++)
    {
-      RaceMath.clean_moments(setup.teams[i].data.moments, setup.teams[i].start, setup.teams[i].hasOwnProperty("finishedAt") ? Math.min(time(), setup.teams[i].finishedAt) : time());
-      setup.teams[i].visible = 0;
-      setup.teams[i].t_move = RaceMath.calc_moments(setup.teams[i].data.moments, MIN_AVG);
-      setup.teams[i].v_avg = setup.teams[i].data.moments[0].dist_tot * 3600 / setup.teams[i].t_move;
-      setup.teams[i].display_name = display_string(setup.teams[i]);
-      RaceMath.calc_dtf(setup.teams[i].data.moments, setup.course.nodes);
-      // find passing of equator
-      find_pass_lat(setup.teams[i].data.moments, 0);
-      // find passing the date line
-      find_pass_lon(setup.teams[i].data.moments, 180);
-      // passing Cape Horn
-      find_pass_lon(setup.teams[i].data.moments, -67.292);
+      if (!setup.teams[i].data || !setup.teams[i].data.moments.length)
+         continue;
+
+      var lat = CMath.DEG2RAD(setup.teams[i].data.moments[0].lat);
+      var lon = CMath.DEG2RAD(setup.teams[i].data.moments[0].lon);
+      x += Math.cos(lat) * Math.cos(lon);
+      y += Math.cos(lat) * Math.sin(lon);
+      z += Math.sin(lat);
    }
+
+   return {lat: CMath.RAD2DEG(Math.atan2(z, Math.hypot(x, y))), lon: CMath.RAD2DEG(Math.atan2(y, x))};
 }
 
 
-function link_data(setup, data, board)
+/*! This function links the teams of the RaceSetup to their entries in the
+ * leaderboard.
+ */
+function link_board(setup, board)
 {
    for (var i = 0; i < setup.teams.length; i++)
-   {
-      setup.teams[i].data = data.find(d => d.id == setup.teams[i].id);
       for (var j = 0; j < board.tags.length; j++)
          if ((setup.teams[i].board = board.tags[j].teams.find(d => d.id == setup.teams[i].id)))
             break;
+}
+
+
+function link_data(setup, data, board)
+{
+   for (var i = 0; i < setup.teams.length; i++)
+   {
+      // teams without track data get an empty list of moments
+      setup.teams[i].data = data.find(d => d.id == setup.teams[i].id) || {id: setup.teams[i].id, moments: []};
+      setup.teams[i].visible = 0;
    }
+   link_board(setup, board);
+}
+
+
+/*! This function groups the teams into classes (see RaceMath.classes()). The
+ * classes are stored to setup.classes and the ids of the classes of each team
+ * are stored to team.classes.
+ */
+function calc_classes(setup, board)
+{
+   setup.classes = RaceMath.classes(setup, board);
+   for (var i = 0; i < setup.teams.length; i++)
+      setup.teams[i].classes = setup.classes.filter(c => c.teams.includes(setup.teams[i].id)).map(c => c.id);
 }
 
 
@@ -202,81 +650,83 @@ function coords_xy(s, tc)
 }
 
 
-/*! This function calculates the x/y coordinates of each map point. It's done
- * by translate each geographic coordinate into the Spilhaus reference system
- * and then applying the Adams Square II projection.
+/*! This function calculates the x/y coordinates of all points of a way with
+ * the current projection (see projection.js). Points which are not visible
+ * in the projection are marked as hidden.
  */
-function calc_chart()
+function calc_way(w)
 {
-   for (i = 0; i < c_.length; i++)
+   var oxy;
+   for (var j = 0; j < w.nodes.length; j++)
    {
-      var olon;
-      for (j = 0; j < c_[i].nodes.length; j++)
-      {
-         var tc = trans_spilhaus({lat: c_[i].nodes[j].N, lon: c_[i].nodes[j].E});
-         var xy = coords_xy(1, tc);
-         c_[i].nodes[j].x = xy.x;
-         c_[i].nodes[j].y = xy.y;
-         c_[i].nodes[j].split = 0;
-         if (j)
-         {
-            var dlon = tc.lon - olon;
-            olon = tc.lon;
-            if (Math.abs(dlon) > 180)
-               c_[i].nodes[j].split = 1;
-         }
-      }
+      var xy = proj_.xy({lat: w.nodes[j].N, lon: w.nodes[j].E});
+      w.nodes[j].hidden = xy === undefined ? 1 : 0;
+      w.nodes[j].x = xy !== undefined ? xy.x : 0;
+      w.nodes[j].y = xy !== undefined ? xy.y : 0;
+      w.nodes[j].split = j && proj_.split(oxy, xy) ? 1 : 0;
+      oxy = xy;
    }
 }
 
 
-function gen_lat(nodes, lat)
+/*! This function calculates the x/y coordinates of each map point.
+ */
+function calc_chart()
+{
+   for (var i = 0; i < c_.length; i++)
+      calc_way(c_[i]);
+   calc_night_grid();
+}
+
+
+function gen_lat(nodes, lat, step = 10)
 {
-   for (var e = -180; e <= 180; e += 10)
+   for (var e = -180; e <= 180; e += step)
       nodes.push({N: lat, E: e});
 }
 
 
-function gen_lon(nodes, lon)
+function gen_lon(nodes, lon, step = 10)
 {
-   for (var n = 0; n <= 360; n += 10)
+   for (var n = 0; n <= 360; n += step)
       nodes.push({N: n <= 180 ? n - 90 : 270 - n, E: n <= 180 ? lon : lonmod(lon + 180)});
 }
 
 
 /*! Add grid lines (equator and meridian) to the chart data in real geographic
- * coordinates.
+ * coordinates. The distance of the points of the lines is taken from the
+ * current projection.
  */
 function gen_grid()
 {
    var eq;
 
    eq = {type: "way", tags: {type: "equator"}, nodes: []};
-   gen_lat(eq.nodes, 0);
+   gen_lat(eq.nodes, 0, proj_.grid);
    c_.push(eq);
 
    eq = {type: "way", tags: {type: "meridian"}, nodes: []};
-   gen_lon(eq.nodes, 0);
+   gen_lon(eq.nodes, 0, proj_.grid);
    c_.push(eq);
 
    for (var n = 20; n <= 80; n += 20)
    {
       eq = {type: "way", tags: {type: "latitude", lat: n}, nodes: []};
-      gen_lat(eq.nodes, n);
+      gen_lat(eq.nodes, n, proj_.grid);
       c_.push(eq);
    }
 
    for (var n = -80; n <= -20; n += 20)
    {
       eq = {type: "way", tags: {type: "latitude", lat: n}, nodes: []};
-      gen_lat(eq.nodes, n);
+      gen_lat(eq.nodes, n, proj_.grid);
       c_.push(eq);
    }
 
    for (var e = 30; e < 180; e += 30)
    {
       eq = {type: "way", tags: {type: "longitude", lon: e}, nodes: []};
-      gen_lon(eq.nodes, e);
+      gen_lon(eq.nodes, e, proj_.grid);
       c_.push(eq);
    }
 }
@@ -286,7 +736,7 @@ function gen_grid()
  */
 function gen_poi0(line)
 {
-   const MINDIST = 5.0;
+   const MINDIST = proj_.densify;
 
    if (line.nodes == undefined)
       return undefined;
@@ -310,7 +760,7 @@ function gen_poi0(line)
          var dlat = c[i + 2] - c[i];
          var dlon = c[i + 3] - c[i + 1];
          var h = Math.hypot(dlat, dlon);
-         // add intermediate points if distance is to far (which is necessary to compensate the distorsion caused by the Admas Square II projection).
+         // add intermediate points if distance is to far (which is necessary to compensate the distorsion caused by the projection).
          if (h > MINDIST)
          {
             var n = Math.ceil(h / MINDIST);
@@ -334,50 +784,207 @@ function gen_poi(lines)
 }
 
 
+/*! This function adds the gates to the map, they are drawn like POIs.
+ */
+function gen_gates(gates)
+{
+   for (var gate of gates)
+   {
+      var n = gate_nodes(gate);
+      if (n !== undefined)
+         gen_poi0({name: gate.name, colour: gate.colour || "00c0c0", nodes: n.map(p => p.lat + "," + p.lon).join(",")});
+   }
+}
+
+
+
+/*! This function calculates the position of the sun with the NOAA solar
+ * position algorithm (based on Meeus, Astronomical Algorithms).
+ * @param t Unix timestamp.
+ * @return Returns an object {lat, lon, dec, eot} with the subsolar point
+ * lat/lon in decimal degrees, the declination dec in degrees and the
+ * equation of time eot in minutes.
+ */
+function sun_pos(t)
+{
+   // Julian centuries since J2000.0
+   var T = (t / 86400 + 2440587.5 - 2451545) / 36525;
+
+   var L0 = CMath.fmod2(280.46646 + T * (36000.76983 + T * 0.0003032));
+   var M = CMath.DEG2RAD(357.52911 + T * (35999.05029 - 0.0001537 * T));
+   var e = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+   // equation of center and apparent longitude
+   var C = Math.sin(M) * (1.914602 - T * (0.004817 + 0.000014 * T)) + Math.sin(2 * M) * (0.019993 - 0.000101 * T) + Math.sin(3 * M) * 0.000289;
+   var omega = CMath.DEG2RAD(125.04 - 1934.136 * T);
+   var lambda = CMath.DEG2RAD(L0 + C - 0.00569 - 0.00478 * Math.sin(omega));
+   // obliquity of the ecliptic
+   var eps = CMath.DEG2RAD(23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60 + 0.00256 * Math.cos(omega));
+
+   var dec = CMath.RAD2DEG(Math.asin(Math.sin(eps) * Math.sin(lambda)));
+   var y = Math.tan(eps / 2) ** 2;
+   var l = CMath.DEG2RAD(L0);
+   var eot = 4 * CMath.RAD2DEG(y * Math.sin(2 * l) - 2 * e * Math.sin(M) + 4 * e * y * Math.sin(M) * Math.cos(2 * l)
+      - 0.5 * y * y * Math.sin(4 * l) - 1.25 * e * e * Math.sin(2 * M));
+
+   // the sun is at the meridian at 12:00 true solar time
+   var min = (t % 86400) / 60;
+   return {lat: dec, lon: lonmod((720 - min - eot) / 4), dec: dec, eot: eot};
+}
+
+
+/*! This function calculates the hour angle of the sun at a specific
+ * altitude.
+ * @param lat Latitude of the observer.
+ * @param dec Declination of the sun.
+ * @param alt Altitude of the sun in degrees.
+ * @return Returns the hour angle in degrees (0 - 180). The sun is below the
+ * altitude at hour angles greater than the result. 0 means the sun does not
+ * reach the altitude at all on this day, 180 means it is above all day.
+ */
+function sun_hour_angle(lat, dec, alt)
+{
+   lat = CMath.DEG2RAD(lat);
+   dec = CMath.DEG2RAD(dec);
+   var c = (Math.sin(CMath.DEG2RAD(alt)) - Math.sin(lat) * Math.sin(dec)) / (Math.cos(lat) * Math.cos(dec));
+   return c >= 1 ? 0 : c <= -1 ? 180 : CMath.RAD2DEG(Math.acos(c));
+}
+
+
+/*! This function calculates the times when the sun passes a specific altitude
+ * at a position on the day of the local noon next to t.
+ * @param pos Position {lat, lon}.
+ * @param t Unix timestamp.
+ * @param alt Altitude of the sun in degrees, SUN_ALTS[0] is sunrise/sunset.
+ * @return Returns an object {noon, rise, set} of Unix timestamps. rise and
+ * set are undefined if the sun stays below (polar night) or above (midnight
+ * sun) the altitude, in which case polar is set to "night" or "day".
+ */
+function sun_day(pos, t, alt = SUN_ALTS[0])
+{
+   // approximate local noon, corrected by the equation of time of that time
+   var noon = Math.round((t + pos.lon * 240) / 86400) * 86400 + 43200 - pos.lon * 240;
+   noon -= 86400 * Math.round((noon - t) / 86400);
+   var sun = sun_pos(noon);
+   noon -= sun.eot * 60;
+
+   var h = sun_hour_angle(pos.lat, sun.dec, alt);
+   if (h <= 0)
+      return {noon: noon, polar: "night"};
+   if (h >= 180)
+      return {noon: noon, polar: "day"};
+   return {noon: noon, rise: noon - h * 240, set: noon + h * 240};
+}
 
-/*! This function approximates the declination of the sun.
+
+/*! This function finds the next time after t when the sun passes the
+ * altitude alt at the position pos.
+ * @param set Set to true for the next setting of the sun, otherwise the next
+ * rising is returned.
+ * @return Returns the Unix timestamp or undefined if there is none within the
+ * next 2 days.
  */
-function sun_dec(d, m, y)
+function sun_next(pos, t, alt = SUN_ALTS[0], set = false)
 {
-   const MDAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-   const MDEC = 23.44;
+   for (var d = -1; d <= 2; d++)
+   {
+      var s = sun_day(pos, t + d * 86400, alt);
+      var ts = set ? s.set : s.rise;
+      if (ts !== undefined && ts > t)
+         return ts;
+   }
+   return undefined;
+}
+
 
-   d += 10;
-   for (var i = 0; i < m - 1; i++)
-      d += MDAYS[i];
-   var dy = 365 + (y % 4 == 0 ? 1 : 0);
+/*! This function generates the circle of all positions on which the sun is
+ * at the altitude alt.
+ * @param sun Position of the sun (see sun_pos()).
+ * @return Returns the array of nodes {N, E}.
+ */
+function sun_circle(sun, alt, step = 5)
+{
+   var nodes = [];
+   // angular distance of the circle from the subsolar point
+   var r = CMath.DEG2RAD(90 - alt);
+   var lat0 = CMath.DEG2RAD(sun.lat);
 
-   return -MDEC * Math.cos(CMath.DEG2RAD(d * 360 /dy));
+   for (var a = 0; a <= 360; a += step)
+   {
+      var b = CMath.DEG2RAD(a);
+      var lat = Math.asin(Math.sin(lat0) * Math.cos(r) + Math.cos(lat0) * Math.sin(r) * Math.cos(b));
+      var lon = Math.atan2(Math.sin(b) * Math.sin(r) * Math.cos(lat0), Math.cos(r) - Math.sin(lat0) * Math.sin(lat));
+      nodes.push({N: CMath.RAD2DEG(lat), E: lonmod(sun.lon + CMath.RAD2DEG(lon))});
+   }
+   return nodes;
 }
 
 
 /*! This function generates the sunrise/sunset line and adds it to the map.
+ * @param t Unix timestamp.
  */
-function gen_sunrise(d)
+function gen_sunrise(t)
 {
-   var w = {type: "way", tags: {type: "sun", polygon: false, colour: "#0000A0", name: "sun"}, nodes: []};
-   var dec = sun_dec(d.getUTCDate(), d.getUTCMonth() + 1, d.getUTCFullYear());
-   var a = (d.getUTCHours() + d.getUTCMinutes() / 60 + d.getUTCSeconds() / 3600) / 24 * 360;
+   c_.push({type: "way", tags: {type: "sun", polygon: false, colour: "#0000A0", name: "sun"}, nodes: sun_circle(sun_pos(t), SUN_ALTS[0])});
+}
 
-   var lat, lon, tc;
-   for (var r = 0; r < 360; r += 5)
+
+/*! This function projects the corners of the cells of the night grid with
+ * the current projection. Corners which are not visible are undefined.
+ */
+function calc_night_grid()
+{
+   night_.grid = [];
+   for (var lat = -90; lat <= 90; lat += NIGHT_STEP)
    {
-      if (r <= 180)
-      {
-         lat = r - 90;
-         lon = -90;
-      }
-      else
+      var row = [];
+      for (var lon = -180; lon <= 180; lon += NIGHT_STEP)
+         row.push(proj_.xy({lat: lat, lon: lon}));
+      night_.grid.push(row);
+   }
+}
+
+
+/*! This function calculates the level of the night of each cell of the night
+ * grid at time t. The level is the number of the altitudes of SUN_ALTS which
+ * are above the altitude of the sun at the center of the cell, i.e. 0 is day,
+ * 1 the civil twilight (or the night if the twilight is not shaded), 2 the
+ * nautical twilight, and 3 the night.
+ * @param t Unix timestamp.
+ * @param twilight Set to true to shade the civil and the nautical twilight.
+ */
+function calc_night(t, twilight = twilight_)
+{
+   var sun = sun_pos(t);
+   var alts = (twilight ? SUN_ALTS : SUN_ALTS.slice(0, 1)).map(a => Math.sin(CMath.DEG2RAD(a)));
+   var sd = Math.sin(CMath.DEG2RAD(sun.dec)), cd = Math.cos(CMath.DEG2RAD(sun.dec));
+
+   night_.levels = alts.length;
+   night_.level = [];
+   for (var lat = -90 + NIGHT_STEP / 2; lat < 90; lat += NIGHT_STEP)
+   {
+      var row = [];
+      var sl = Math.sin(CMath.DEG2RAD(lat)), cl = Math.cos(CMath.DEG2RAD(lat));
+      for (var lon = -180 + NIGHT_STEP / 2; lon < 180; lon += NIGHT_STEP)
       {
-         lat = 270 - r;
-         lon = 90;
+         // sine of the altitude of the sun
+         var h = sl * sd + cl * cd * Math.cos(CMath.DEG2RAD(lon - sun.lon));
+         row.push(alts.filter(a => h < a).length);
       }
-
-      tc  = transcoord(dec, a, lat, lon);
-      w.nodes.push({N: tc.lat, E: tc.lon});
+      night_.level.push(row);
    }
-
-   w.nodes.push(w.nodes[0]);
-   c_.push(w);
 }
 
+
+/*! This function replaces the sunrise/sunset line and the shading of the
+ * night of the map by the ones for the time t.
+ * @param t Unix timestamp.
+ */
+function update_sun(t)
+{
+   for (var i; (i = c_.findIndex(w => w.tags.type == "sun")) >= 0;)
+      c_.splice(i, 1);
+
+   gen_sunrise(t);
+   calc_way(c_[c_.length - 1]);
+   calc_night(t);
+}
@@ -0,0 +1,201 @@
+/*! This file contains the map projections. All projections share the same
+ * interface. The method xy() projects a geographic coordinate into the unit
+ * square (0 <= x, y <= 1). The method split() decides if a line between two
+ * projected points has to be interrupted, e.g. because it wraps around the
+ * border of the map. The member rotation is the final rotation of the map,
+ * densify is the max. distance in degrees between two points of a line (see
+ * gen_poi0()), and grid is the distance of the grid lines in degrees (see
+ * gen_grid()).
+ *
+ * \file projection.js
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+
+class Projection
+{
+   constructor(name)
+   {
+      this.name = name;
+      this.rotation = 0;
+      this.densify = 5.0;
+      this.grid = 10;
+      this.center = {lat: 0, lon: 0};
+   }
+
+
+   /*! Project the geographic position pos = {lat, lon} into the unit square.
+    * @return Returns an object {x, y, lon}, lon is the longitude within the
+    * reference system of the projection which is used to detect wrapping. If
+    * the position is not visible, undefined is returned.
+    */
+   xy(pos)
+   {
+      return undefined;
+   }
+
+
+   /*! Return true if the line between the projected points a and b has to be
+    * split.
+    */
+   split(a, b)
+   {
+      return a === undefined || b === undefined || Math.abs(a.lon - b.lon) > 180;
+   }
+}
+
+
+/*! Spilhaus projection. The coordinates are translated into the Spilhaus
+ * reference system and then projected with the Adams Square II projection.
+ */
+class SpilhausProjection extends Projection
+{
+   constructor()
+   {
+      super("spilhaus");
+      this.rotation = Math.PI / 8;
+   }
+
+
+   xy(pos)
+   {
+      var tc = trans_spilhaus(pos);
+      var xy = coords_xy(1, tc);
+      return {x: xy.x, y: xy.y, lon: tc.lon};
+   }
+}
+
+
+/*! Mercator projection with the central meridian at the center of the fleet.
+ */
+class MercatorProjection extends Projection
+{
+   static MAXLAT = 85.05113;
+
+
+   constructor()
+   {
+      super("mercator");
+   }
+
+
+   xy(pos)
+   {
+      var lat = CMath.DEG2RAD(Math.min(Math.max(pos.lat, -MercatorProjection.MAXLAT), MercatorProjection.MAXLAT));
+      var lon = lonmod(pos.lon - this.center.lon);
+      return {x: (lon + 180) / 360, y: 0.5 - Math.log(Math.tan(Math.PI / 4 + lat / 2)) / (2 * Math.PI), lon: lon};
+   }
+}
+
+
+/*! Equirectangular (plate carrée) projection with the central meridian at the
+ * center of the fleet. The map is centered vertically within the square.
+ */
+class EquirectangularProjection extends Projection
+{
+   constructor()
+   {
+      super("equirectangular");
+   }
+
+
+   xy(pos)
+   {
+      var lon = lonmod(pos.lon - this.center.lon);
+      return {x: (lon + 180) / 360, y: 0.25 + (90 - pos.lat) / 360, lon: lon};
+   }
+}
+
+
+/*! Orthographic projection (globe) centered on the fleet. Points on the back
+ * side of the globe are not visible.
+ */
+class OrthographicProjection extends Projection
+{
+   constructor()
+   {
+      super("orthographic");
+   }
+
+
+   xy(pos)
+   {
+      var lat = CMath.DEG2RAD(pos.lat), lat0 = CMath.DEG2RAD(this.center.lat);
+      var dlon = CMath.DEG2RAD(pos.lon - this.center.lon);
+
+      // cosine of the angular distance to the center
+      if (Math.sin(lat0) * Math.sin(lat) + Math.cos(lat0) * Math.cos(lat) * Math.cos(dlon) < 0)
+         return undefined;
+
+      var x = Math.cos(lat) * Math.sin(dlon);
+      var y = Math.cos(lat0) * Math.sin(lat) - Math.sin(lat0) * Math.cos(lat) * Math.cos(dlon);
+      return {x: 0.5 + x / 2, y: 0.5 - y / 2, lon: 0};
+   }
+}
+
+
+/*! Lambert azimuthal equal-area projection centered on the fleet. The whole
+ * globe is projected into a circle, the antipode of the center is not
+ * visible.
+ */
+class LambertProjection extends Projection
+{
+   constructor()
+   {
+      super("lambert");
+   }
+
+
+   xy(pos)
+   {
+      var lat = CMath.DEG2RAD(pos.lat), lat0 = CMath.DEG2RAD(this.center.lat);
+      var dlon = CMath.DEG2RAD(pos.lon - this.center.lon);
+      var c = Math.sin(lat0) * Math.sin(lat) + Math.cos(lat0) * Math.cos(lat) * Math.cos(dlon);
+
+      if (c < -0.99)
+         return undefined;
+
+      var k = Math.sqrt(2 / (1 + c));
+      var x = k * Math.cos(lat) * Math.sin(dlon);
+      var y = k * (Math.cos(lat0) * Math.sin(lat) - Math.sin(lat0) * Math.cos(lat) * Math.cos(dlon));
+      return {x: 0.5 + x / 4, y: 0.5 - y / 4, lon: 0};
+   }
+
+
+   //! lines crossing the area around the antipode are split
+   split(a, b)
+   {
+      return super.split(a, b) || Math.hypot(a.x - b.x, a.y - b.y) > 0.25;
+   }
+}
+
+
+//! list of all available projections
+const PROJECTIONS =
+[
+   SpilhausProjection,
+   MercatorProjection,
+   EquirectangularProjection,
+   OrthographicProjection,
+   LambertProjection
+];
+
+//! the current projection
+var proj_ = new SpilhausProjection();
+
+
+/*! This function sets the current projection.
+ * @param name Name of the projection. If it is unknown, the Spilhaus
+ * projection is used.
+ * @param center Optional center {lat, lon} of the projection.
+ * @return Returns the projection.
+ */
+function set_projection(name, center)
+{
+   var P = PROJECTIONS.find(p => new p().name == name);
+   proj_ = P === undefined ? new SpilhausProjection() : new P();
+   if (center !== undefined)
+      proj_.center = center;
+   return proj_;
+}
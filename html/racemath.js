@@ -10,6 +10,12 @@
 class CMath
 {
    static name = "cmath";
+   //! earth radius in nautical miles (1 nm = 1 minute of arc)
+   static R_NM = 10800 / Math.PI;
+   //! available distance models (see coord_diff0())
+   static DIST_MODELS = ["haversine", "vincenty", "rhumb", "legacy"];
+   //! distance model which is used by default
+   static dist_model = "haversine";
 
 
    static DEG2RAD(d)
@@ -32,14 +38,14 @@ class CMath
    }
 
 
-   /*! Calculate the orthodrome distance between to geographic coordinates src and
-    * dst defined by latitude and longitude. The result is stored as distance in
-    * nautical miles and bearing in degrees dst2.
+   /*! Calculate the distance and the bearing between the two geographic
+    * coordinates src and dst defined by latitude and longitude. The result is
+    * stored as distance in nautical miles and bearing in degrees to dst2.
+    * @param model Name of the distance model (see DIST_MODELS), it defaults to
+    * the global model CMath.dist_model.
     */
-   static coord_diff0(src, dst, dst2)
+   static coord_diff0(src, dst, dst2, model = CMath.dist_model)
    {
-      var dlat, dlon;
-
       // handle corner case if src == dst
       if (src.lat == dst.lat && src.lon == dst.lon)
       {
@@ -48,13 +54,150 @@ class CMath
          return;
       }
 
+      switch (model)
+      {
+         case "vincenty":
+            CMath.coord_diff_vincenty(src, dst, dst2);
+            break;
+         case "rhumb":
+            CMath.coord_diff_rhumb(src, dst, dst2);
+            break;
+         case "legacy":
+            CMath.coord_diff_legacy(src, dst, dst2);
+            break;
+         default:
+            CMath.coord_diff_haversine(src, dst, dst2);
+      }
+   }
+
+
+   /*! Set the global distance model.
+    * @return Returns true if the model is valid, otherwise false and the
+    * model is not changed.
+    */
+   static set_dist_model(model)
+   {
+      if (!CMath.DIST_MODELS.includes(model))
+         return false;
+      CMath.dist_model = model;
+      return true;
+   }
+
+
+   /*! Great circle distance with the haversine formula and initial great
+    * circle bearing on a sphere.
+    */
+   static coord_diff_haversine(src, dst, dst2)
+   {
+      var lat1 = CMath.DEG2RAD(src.lat), lat2 = CMath.DEG2RAD(dst.lat);
+      var dlat = lat2 - lat1, dlon = CMath.DEG2RAD(dst.lon - src.lon);
+      var a = Math.sin(dlat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dlon / 2) ** 2;
+
+      dst2.dist = 2 * CMath.R_NM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+      dst2.bearing = CMath.fmod2(CMath.RAD2DEG(Math.atan2(Math.sin(dlon) * Math.cos(lat2),
+         Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dlon))));
+   }
+
+
+   /*! Distance and constant bearing along the rhumb line (loxodrome) on a
+    * sphere.
+    */
+   static coord_diff_rhumb(src, dst, dst2)
+   {
+      var lat1 = CMath.DEG2RAD(src.lat), lat2 = CMath.DEG2RAD(dst.lat);
+      var dlat = lat2 - lat1, dlon = CMath.DEG2RAD(dst.lon - src.lon);
+
+      // take the shorter way across the date line
+      if (Math.abs(dlon) > Math.PI)
+         dlon -= Math.sign(dlon) * 2 * Math.PI;
+
+      // stretched latitude difference of the Mercator projection
+      var dpsi = Math.log(Math.tan(Math.PI / 4 + lat2 / 2) / Math.tan(Math.PI / 4 + lat1 / 2));
+      var q = Math.abs(dpsi) > 1e-12 ? dlat / dpsi : Math.cos(lat1);
+
+      dst2.dist = CMath.R_NM * Math.hypot(dlat, q * dlon);
+      dst2.bearing = CMath.fmod2(CMath.RAD2DEG(Math.atan2(dlon, dpsi)));
+   }
+
+
+   /*! Distance and initial bearing on the WGS84 ellipsoid with Vincenty's
+    * inverse formula. If the iteration does not converge (nearly antipodal
+    * points), the haversine formula is used instead.
+    */
+   static coord_diff_vincenty(src, dst, dst2)
+   {
+      const a = 6378137, f = 1 / 298.257223563, b = a * (1 - f);
+      var L = CMath.DEG2RAD(dst.lon - src.lon);
+      var U1 = Math.atan((1 - f) * Math.tan(CMath.DEG2RAD(src.lat)));
+      var U2 = Math.atan((1 - f) * Math.tan(CMath.DEG2RAD(dst.lat)));
+      var sinU1 = Math.sin(U1), cosU1 = Math.cos(U1), sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+      var lambda = L, lambda0, sinLambda, cosLambda, sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+
+      for (var i = 0; i < 100; i++)
+      {
+         sinLambda = Math.sin(lambda);
+         cosLambda = Math.cos(lambda);
+         sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+         cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+         sigma = Math.atan2(sinSigma, cosSigma);
+         var sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+         cosSqAlpha = 1 - sinAlpha * sinAlpha;
+         // both points on the equator
+         cos2SigmaM = cosSqAlpha != 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+         var C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+         lambda0 = lambda;
+         lambda = L + (1 - C) * f * sinAlpha * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+         if (Math.abs(lambda - lambda0) < 1e-12)
+            break;
+      }
+
+      if (i >= 100)
+      {
+         CMath.coord_diff_haversine(src, dst, dst2);
+         return;
+      }
+
+      var uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+      var A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+      var B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+      var dSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)
+         - B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+
+      dst2.dist = b * A * (sigma - dSigma) / 1852;
+      dst2.bearing = CMath.fmod2(CMath.RAD2DEG(Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda)));
+   }
+
+
+   /*! This is the original calculation of the orthodrome distance with the
+    * spherical law of cosines and a bearing of a mid-latitude flat
+    * approximation.
+    */
+   static coord_diff_legacy(src, dst, dst2)
+   {
+      var dlat, dlon;
+
       dlat = dst.lat - src.lat;
       dlon = (dst.lon - src.lon) * Math.cos(CMath.DEG2RAD((src.lat + dst.lat) / 2.0));
 
       dst2.bearing = CMath.fmod2(CMath.RAD2DEG(Math.atan2(dlon, dlat)));
-      dst2.dist = 60 * CMath.RAD2DEG(Math.acos(
+      // limit to the domain of acos() which is exceeded by rounding errors
+      dst2.dist = 60 * CMath.RAD2DEG(Math.acos(Math.min(1,
          Math.sin(CMath.DEG2RAD(src.lat)) * Math.sin(CMath.DEG2RAD(dst.lat)) +
-         Math.cos(CMath.DEG2RAD(src.lat)) * Math.cos(CMath.DEG2RAD(dst.lat)) * Math.cos(CMath.DEG2RAD(dst.lon - src.lon))));
+         Math.cos(CMath.DEG2RAD(src.lat)) * Math.cos(CMath.DEG2RAD(dst.lat)) * Math.cos(CMath.DEG2RAD(dst.lon - src.lon)))));
+   }
+
+
+   /*! Calculate the destination on the great circle from the position pos
+    * with the initial bearing (degrees) after dist nautical miles.
+    * @return Returns the position {lat, lon}.
+    */
+   static dest(pos, bearing, dist)
+   {
+      var d = dist / CMath.R_NM, b = CMath.DEG2RAD(bearing), lat1 = CMath.DEG2RAD(pos.lat);
+      var lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(b));
+      var lon = pos.lon + CMath.RAD2DEG(Math.atan2(Math.sin(b) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2)));
+
+      return {lat: CMath.RAD2DEG(lat2), lon: lon > 180 ? lon - 360 : lon < -180 ? lon + 360 : lon};
    }
 
 
@@ -70,20 +213,193 @@ class CMath
 
 class RaceMath
 {
+   //! default options of clean_track()
+   static CLEAN_DEFAULTS = {v_max: 60, gap: 12 * 3600, smooth: "none", window: 5, kalman_q: 5, kalman_r: 0.1};
+   //! time windows in seconds of the average speeds of the ETA (see eta())
+   static ETA_WINDOWS = [24 * 3600, 7 * 86400];
+   //! min. speed in knots of the ETA, slower boats are treated as not moving
+   static ETA_MIN_SPEED = 0.01;
+   //! max. length in nautical miles of the rounding rays of the marks (see mark_ray())
+   static MARK_RAY = 50;
+
+
    /*! This function eliminates moments which happen in the future (according to
     * the timestamp) or which occured before the start of the race.
     */
    static clean_moments(moments, t_min, t_max)
    {
       // remove elements before the start
-      for (; moments.slice(-1)[0].at < t_min;)
+      for (; moments.length && moments.slice(-1)[0].at < t_min;)
          moments.pop();
       // remove elements which are in the future
-      for (; moments[0].at > t_max;)
+      for (; moments.length && moments[0].at > t_max;)
          moments.shift();
    }
 
 
+   /*! This function cleans the track data from bad position reports. It
+    * collapses moments with duplicate timestamps, drops outliers which imply
+    * an impossible speed, flags tracker gaps, and optionally smoothes the
+    * positions. The options are taken from opts, missing ones from
+    * CLEAN_DEFAULTS:
+    * v_max: Max. speed in knots, a moment which can be reached from neither of
+    * its neighbours below this speed is dropped. 0 disables it.
+    * gap: Min. time in seconds without position reports which is flagged as
+    * gap. The flag moments[i].gap is set at the first moment after the gap.
+    * 0 disables it, existing flags (e.g. of the JSON data of gpxconv) are kept
+    * then.
+    * smooth: "median" for a median filter with a window of "window" moments,
+    * "kalman" for a Kalman filter (see smooth_kalman()), otherwise none. The
+    * original positions are kept in moments[i].raw, thus repeated smoothing
+    * always starts with the original data.
+    * @param moments Array of moments in descending time order.
+    * @return Returns the number of removed moments.
+    */
+   static clean_track(moments, opts = {})
+   {
+      opts = Object.assign({}, RaceMath.CLEAN_DEFAULTS, opts);
+      var len = moments.length, dst = {};
+
+      // collapse duplicate timestamps, the first one is kept
+      for (var i = moments.length - 1; i > 0; i--)
+         if (moments[i - 1].at == moments[i].at)
+            moments.splice(i, 1);
+
+      // speed in knots between 2 moments
+      function speed(a, b)
+      {
+         CMath.coord_diff0(a, b, dst);
+         return dst.dist * 3600 / Math.max(Math.abs(a.at - b.at), 1);
+      }
+
+      // drop outliers, these are moments with impossible speeds to both
+      // neighbours, or to the only neighbour at the ends of the track if the
+      // neighbour itself is plausible
+      function outlier(i)
+      {
+         var older = i + 1 < moments.length ? speed(moments[i + 1], moments[i]) > opts.v_max : undefined;
+         var newer = i > 0 ? speed(moments[i], moments[i - 1]) > opts.v_max : undefined;
+
+         if (older !== undefined && newer !== undefined)
+            return older && newer;
+         if (older !== undefined)
+            return older && (i + 2 >= moments.length || speed(moments[i + 2], moments[i + 1]) <= opts.v_max);
+         if (newer !== undefined)
+            return newer && (i < 2 || speed(moments[i - 1], moments[i - 2]) <= opts.v_max);
+         return false;
+      }
+
+      if (opts.v_max > 0)
+         for (var i = moments.length - 1; i >= 0; i--)
+            if (outlier(i))
+               moments.splice(i, 1);
+
+      // flag gaps, without gap detection the flags of the data are kept
+      if (opts.gap > 0)
+         for (var i = 0; i < moments.length; i++)
+            if (i + 1 < moments.length && moments[i].at - moments[i + 1].at >= opts.gap)
+               moments[i].gap = 1;
+            else
+               delete moments[i].gap;
+
+      switch (opts.smooth)
+      {
+         case "median":
+            RaceMath.smooth_median(moments, opts.window);
+            break;
+         case "kalman":
+            RaceMath.smooth_kalman(moments, opts.kalman_q, opts.kalman_r);
+            break;
+      }
+
+      return len - moments.length;
+   }
+
+
+   /*! Save the original position of a moment to moments[i].raw, if not done
+    * yet, and return it.
+    */
+   static raw_pos(m)
+   {
+      if (m.raw === undefined)
+         m.raw = {lat: m.lat, lon: m.lon};
+      return m.raw;
+   }
+
+
+   /*! This function smoothes the positions with a median filter. The window
+    * does not extend across gaps (see clean_track()).
+    * @param moments Array of moments in descending time order.
+    * @param window Number of moments of the window, should be odd.
+    */
+   static smooth_median(moments, window = 5)
+   {
+      var raw = moments.map(m => RaceMath.raw_pos(m));
+      var k = Math.floor(window / 2);
+      const median = a => (a.sort((x, y) => x - y), a.length % 2 ? a[(a.length - 1) / 2] : (a[a.length / 2 - 1] + a[a.length / 2]) / 2);
+
+      for (var i = 0; i < moments.length; i++)
+      {
+         var lat = [], lon = [];
+         // newer moments up to the next gap
+         for (var j = i; j >= Math.max(i - k, 0) && (j == i || !moments[j].gap); j--)
+         {
+            lat.push(raw[j].lat);
+            // unwrap longitude relative to the center of the window
+            lon.push(raw[i].lon + ((raw[j].lon - raw[i].lon + 540) % 360 - 180));
+         }
+         // older moments up to the previous gap
+         for (var j = i + 1; j <= Math.min(i + k, moments.length - 1) && !moments[j - 1].gap; j++)
+         {
+            lat.push(raw[j].lat);
+            lon.push(raw[i].lon + ((raw[j].lon - raw[i].lon + 540) % 360 - 180));
+         }
+         moments[i].lat = median(lat);
+         moments[i].lon = (median(lon) + 540) % 360 - 180;
+      }
+   }
+
+
+   /*! This function smoothes the positions with a Kalman filter with a
+    * constant position model. It runs forward in time, the filter is reset
+    * after gaps (see clean_track()).
+    * @param moments Array of moments in descending time order.
+    * @param q Process noise, i.e. the standard deviation of the speed of the
+    * boat in knots.
+    * @param r Measurement noise, i.e. the standard deviation of the position
+    * reports in nautical miles.
+    */
+   static smooth_kalman(moments, q = 5, r = 0.1)
+   {
+      var lat, lon, p;
+
+      for (var i = moments.length - 1; i >= 0; i--)
+      {
+         var raw = RaceMath.raw_pos(moments[i]);
+         if (i == moments.length - 1 || moments[i].gap)
+         {
+            lat = raw.lat;
+            lon = raw.lon;
+            p = r * r;
+         }
+         else
+         {
+            // predict, the uncertainty grows with the distance the boat may have sailed
+            var dt = (moments[i].at - moments[i + 1].at) / 3600;
+            p += q * q * dt * dt;
+            // update, the gain is the same for both coordinates
+            var g = p / (p + r * r);
+            lat += g * (raw.lat - lat);
+            lon += g * ((raw.lon - lon + 540) % 360 - 180);
+            lon = (lon + 540) % 360 - 180;
+            p *= 1 - g;
+         }
+         moments[i].lat = lat;
+         moments[i].lon = lon;
+      }
+   }
+
+
    /*! This function calculates the distance and bearing of the basic intend
     * course to go. The track points are ordered ascendingly in the RaceSetup
     * data.
@@ -91,6 +407,8 @@ class RaceMath
    static calc_course(moments)
    {
       var dst = {bearing: 0, dist: 0};
+      if (!moments.length)
+         return 0;
       moments[0].dist = moments[0].dist_tot = moments[0].bearing = 0;
       for (var i = 0; i < moments.length - 1; i++)
       {
@@ -103,6 +421,167 @@ class RaceMath
    }
 
 
+   /*! This function unrolls the course of a lap race into the course of all
+    * laps. The course nodes from index lapz to the end are one lap, which is
+    * repeated. If the last node equals the node lapz the lap is closed and
+    * the node is not repeated. Each node gets the number of its lap (lap).
+    * @param course Array of course nodes of a single lap.
+    * @param laps Number of laps.
+    * @param lapz Index of the first course node of the lap, the nodes before
+    * are only passed once at the beginning.
+    * @return Returns a new array of course nodes, calc_course() still has to
+    * be called on it.
+    */
+   static unroll_course(course, laps, lapz = 0)
+   {
+      var nodes = course.map(c => Object.assign({}, c, {lap: 1}));
+      var last = course[course.length - 1];
+
+      if (lapz < 0 || lapz >= course.length - 1)
+         return nodes;
+
+      var closed = course[lapz].lat == last.lat && course[lapz].lon == last.lon;
+      for (var k = 2; k <= laps; k++)
+         for (var i = closed ? lapz + 1 : lapz; i < course.length; i++)
+            nodes.push(Object.assign({}, course[i], {lap: k}));
+      return nodes;
+   }
+
+
+   /*! This function finds the start times of the laps of a track. If the
+    * moments contain the lap number (lap, decoded from the binary data), a
+    * lap starts with the first moment of a new lap number. The lap numbers are
+    * assumed to count from 1 like the laps of unroll_course(), moments with
+    * lap 0 are before the 1st lap. Thus, the change from lap 0 to 1 is not
+    * the start of a lap but of the race. Otherwise the laps
+    * are detected by the DMG (see calc_dtf()) passing the end of each lap of
+    * the unrolled course (see unroll_course()), the time is interpolated.
+    * @param moments Array of moments in descending time order.
+    * @param course Array of the unrolled course nodes.
+    * @return Returns an array of objects {lap, at}, one for each lap after
+    * the 1st one which has started.
+    */
+   static lap_starts(moments, course)
+   {
+      var starts = [];
+
+      if (moments.some(m => m.lap > 0))
+      {
+         for (var i = moments.length - 2, lap = moments[moments.length - 1].lap || 0; i >= 0; i--)
+            if (moments[i].lap > lap)
+            {
+               if (lap > 0)
+                  starts.push({lap: moments[i].lap, at: moments[i].at});
+               lap = moments[i].lap;
+            }
+         return starts;
+      }
+
+      for (var j = 0; j < course.length - 1; j++)
+      {
+         if (course[j + 1].lap === undefined || course[j + 1].lap == course[j].lap)
+            continue;
+         // end of the lap course[j].lap
+         var b = course[j].dist_tot;
+         for (var i = moments.length - 1; i > 0; i--)
+            if (moments[i].dmg < b && moments[i - 1].dmg >= b)
+            {
+               var f = (b - moments[i].dmg) / (moments[i - 1].dmg - moments[i].dmg);
+               starts.push({lap: course[j + 1].lap, at: moments[i].at + (moments[i - 1].at - moments[i].at) * f});
+               break;
+            }
+      }
+      return starts;
+   }
+
+
+   /*! Return the rounding side of a course node, which is either "port" or
+    * "starboard" (member rounding, the abbreviations "p", "s", "stbd" are
+    * accepted as well). Nodes without rounding side are plain waypoints.
+    * @return Returns the side or undefined if the node is no mark.
+    */
+   static rounding(node)
+   {
+      var r = typeof node.rounding == "string" ? node.rounding.toLowerCase() : "";
+      return r == "port" || r == "p" ? "port" : r == "starboard" || r == "stbd" || r == "s" ? "starboard" : undefined;
+   }
+
+
+   /*! This function returns the rounding ray of the mark course[k]. The ray
+    * starts at the mark and points to the side on which the boats pass it,
+    * i.e. to starboard of the course if the mark is left to port and vice
+    * versa. At a turn of the course it is the bisector of both sides which
+    * points to the outside of the turn, at a hairpin turn it points ahead of
+    * the incoming leg. The length is half of the shorter adjacent leg, but at
+    * most MARK_RAY. calc_course() has to be called before.
+    * @return Returns the ray as object {a, b} of two positions.
+    */
+   static mark_ray(course, k)
+   {
+      var side = RaceMath.rounding(course[k]) == "starboard" ? -90 : 90;
+      var b_in = k > 0 ? course[k - 1].bearing : course[k].bearing;
+      var b_out = k < course.length - 1 ? course[k].bearing : b_in;
+      var a1 = CMath.DEG2RAD(b_in + side), a2 = CMath.DEG2RAD(b_out + side);
+      var x = Math.sin(a1) + Math.sin(a2), y = Math.cos(a1) + Math.cos(a2);
+      var dir = Math.hypot(x, y) < 1e-6 ? b_in : CMath.RAD2DEG(Math.atan2(x, y));
+
+      var len = RaceMath.MARK_RAY;
+      if (k > 0 && course[k].dist > 0)
+         len = Math.min(len, course[k].dist / 2);
+      if (k < course.length - 1 && course[k + 1].dist > 0)
+         len = Math.min(len, course[k + 1].dist / 2);
+
+      return {a: {lat: course[k].lat, lon: course[k].lon}, b: CMath.dest(course[k], dir, len)};
+   }
+
+
+   /*! This function detects the roundings of the marks of the course (see
+    * rounding()). A mark is rounded when the track crosses its rounding ray
+    * (see mark_ray()) after the rounding of the previous mark. A mark which
+    * is not rounded is missed if a later mark is rounded or if the boat has
+    * finished.
+    * @param moments Array of moments in descending time order.
+    * @param course Array of course nodes (see calc_course()).
+    * @param t_finish Optional finishing time of the boat.
+    * @return Returns an array of objects {index, name, side, lap, at, i,
+    * missed}, one for each mark in course order. index is the index of the
+    * course node, at the interpolated time of the rounding, and i the index of
+    * the moment before the rounding. at and i are undefined if the mark is
+    * not rounded yet, missed is set if the mark was missed.
+    */
+   static calc_roundings(moments, course, t_finish)
+   {
+      var r = [];
+      var t = -Infinity;
+
+      for (var k = 0; k < course.length; k++)
+      {
+         var side = RaceMath.rounding(course[k]);
+         if (side === undefined)
+            continue;
+
+         var ray = RaceMath.mark_ray(course, k);
+         var c = RaceMath.cross_gate(moments, ray.a, ray.b).find(c => c.at > t);
+         var m = {index: k, name: course[k].name !== undefined ? course[k].name : "mark " + k, side: side, lap: course[k].lap};
+         if (c !== undefined)
+         {
+            m.at = t = c.at;
+            m.i = c.i;
+         }
+         r.push(m);
+      }
+
+      for (var k = r.length - 1, later = t_finish !== undefined; k >= 0; k--)
+      {
+         if (r[k].at !== undefined)
+            later = true;
+         else if (later)
+            r[k].missed = true;
+      }
+      return r;
+   }
+
+
    /*! Calculate the difference between 2 bearings (0 - 360).
     * @return The function always returns a value -180 <= v <= 180.
     */
@@ -123,24 +602,66 @@ class RaceMath
    }
 
 
+   /*! This function calculates the cross-track error of the position pos
+    * relative to the course leg from course point a to the next one. The
+    * bearing of the leg is a.bearing (see calc_course()).
+    * @return Returns the distance in nautical miles, positive values are to
+    * starboard of the leg, negative ones to portside.
+    */
+   static xte(pos, a)
+   {
+      var dst = {};
+      CMath.coord_diff0(a, pos, dst);
+      return 60 * CMath.RAD2DEG(Math.asin(Math.sin(CMath.DEG2RAD(dst.dist / 60)) * Math.sin(CMath.DEG2RAD(dst.bearing - a.bearing))));
+   }
+
+
    /*! This function calculates the DMG and the DTF for every moment of a
-    * participant's track.
+    * participant's track. Additionally, the cross-track error (xte) relative
+    * to the matched course leg is calculated (see xte()). In case of a lap
+    * race the course is the unrolled course (see unroll_course()) and moments
+    * with a lap number are not matched to course nodes of earlier laps.
+    * @param roundings Optional array of the roundings of the marks (see
+    * calc_roundings()). If it is given, the DTF follows the remaining legs,
+    * i.e. a moment is not matched to a mark which is already rounded nor to a
+    * course node behind the next mark which is not rounded yet.
+    * Moments which are not matched to the course get no DTF, DMG, and xte,
+    * because the DTF which is decoded from the YB data is not in nautical
+    * miles (see has_dtf()).
     */
-   static calc_dtf(moments, course)
+   static calc_dtf(moments, course, roundings = [])
    {
+      for (var i = 0; i < moments.length; i++)
+      {
+         delete moments[i].dtf;
+         delete moments[i].dmg;
+         delete moments[i].xte;
+      }
+      if (course.length < 2)
+         return;
       var dist_tot = course[course.length - 1].dist_tot;
       var dst = {};
       var i = moments.length - 1;
+      var marks = roundings.filter(r => !r.missed);
       // Loop over all course points, starting with 2nd course point to avoid special corner case at the beginning of the ggr2022.
       for (var j = 1; j < course.length && i < moments.length; j++)
       {
+         var mark = marks.find(r => r.index == j);
          for (; i >= 0; i--)
          {
+            if (moments[i].lap > course[j].lap)
+               break;
+            // the mark is already rounded
+            if (mark !== undefined && mark.at <= moments[i].at)
+               break;
+            // index of the next mark which is not rounded yet
+            var next = marks.find(r => !(r.at <= moments[i].at));
             CMath.coord_diff0(moments[i], course[j], dst);
-            if (!RaceMath.coursepoint_in_sight(dst.bearing, course[j].bearing))
+            if (!RaceMath.coursepoint_in_sight(dst.bearing, course[j].bearing) && (next === undefined || j < next.index))
                break;
             moments[i].dtf = dist_tot - course[j].dist_tot + dst.dist;
             moments[i].dmg = course[j].dist_tot - dst.dist;
+            moments[i].xte = RaceMath.xte(moments[i], course[j - 1]);
             /* just debugging
             moments[i].d_j = j;
             moments[i].d_b = diff_bearing(dst.bearing, course[j].bearing);
@@ -152,6 +673,36 @@ class RaceMath
    }
 
 
+   /*! Return true if the moment m has a DTF in nautical miles which was
+    * calculated by calc_dtf(). The moments of the decoder contain the DTF of
+    * the YB data, which is in different units.
+    */
+   static has_dtf(m)
+   {
+      return m !== undefined && isFinite(m.dtf) && m.dmg !== undefined;
+   }
+
+
+   /*! This function calculates the velocity made good towards the finish
+    * (vmg) in knots for every moment, which is the rate of change of the DTF
+    * since the previous moment (see calc_dtf()). Moments without calculated
+    * DTF (see has_dtf()) or without time difference to the previous moment
+    * get no vmg.
+    * @param moments Array of moments in descending time order.
+    */
+   static calc_vmg(moments)
+   {
+      for (var i = 0; i < moments.length - 1; i++)
+      {
+         var dt = moments[i].at - moments[i + 1].at;
+         if (dt > 0 && RaceMath.has_dtf(moments[i]) && RaceMath.has_dtf(moments[i + 1]))
+            moments[i].vmg = (moments[i + 1].dtf - moments[i].dtf) * 3600 / dt;
+         else
+            delete moments[i].vmg;
+      }
+   }
+
+
    /* This function does some initial calculations in the track data. It
     * calculates the distance, the total distance, the bearing, and the average
     * speed for each track point, and it finds the point with the highest average
@@ -164,16 +715,29 @@ class RaceMath
     * are not considered as movement. The default value is 0 which means that
     * all values are considered. This may be useful if there are intermediate
     * stops which should not used in the total average calculation.
+    * @param n Optional. Index of the latest moment which is already
+    * calculated. Only the moments before (i.e. the newer ones) are
+    * calculated. This is used to incrementally add new moments. By default
+    * all moments are calculated.
     * @return Returns the total number of seconds which the boat was in
-    * movement.
+    * movement within the calculated moments.
     */
-   static calc_moments(moments, min_avg = 0)
+   static calc_moments(moments, min_avg = 0, n = moments.length - 1)
    {
       var ix = -1, v_avg = 0, t_move = 0;
 
-      // set distance of 1st point to 0
-      moments[moments.length - 1].td = moments[moments.length - 1].dist = moments[moments.length - 1].dist_tot = 0;
-      for (var i = moments.length - 1; i; i--)
+      if (n >= moments.length - 1)
+      {
+         // set distance of 1st point to 0
+         n = moments.length - 1;
+         moments[n].td = moments[n].dist = moments[n].dist_tot = 0;
+      }
+      // find max avg speed of the moments already calculated
+      else if ((ix = moments.findIndex(m => m.hasOwnProperty("v_avg_max"))) >= 0)
+         v_avg = moments[ix].v_avg;
+
+      var ix0 = ix;
+      for (var i = n; i; i--)
       {
          CMath.coord_diff(moments[i], moments[i - 1]);
          moments[i - 1].dist_tot = moments[i - 1].dist + moments[i].dist_tot;
@@ -197,11 +761,210 @@ class RaceMath
          return 0;
 
       // set max speed
-      moments[ix].v_avg_max = 1;
+      if (ix != ix0)
+      {
+         if (ix0 >= 0)
+            delete moments[ix0].v_avg_max;
+         moments[ix].v_avg_max = 1;
+      }
       return t_move;
    }
 
 
+   /*! Return the time correction factor tcf1, tcf2, or tcf3 of a team. The
+    * factors are strings in the RaceSetup. Missing or invalid factors are
+    * treated as 1.0.
+    * @param team Team object of the RaceSetup.
+    * @param n Number of the factor (1, 2, or 3).
+    */
+   static tcf(team, n = 1)
+   {
+      var f = parseFloat(team["tcf" + n]);
+      return isNaN(f) || f <= 0 ? 1 : f;
+   }
+
+
+   /*! This function calculates the elapsed time and the corrected time
+    * (time-on-time) of a boat. If the boat has finished, the real elapsed
+    * time is used. Otherwise the elapsed time is projected from the time of
+    * the last position report and the remaining distance sailed at the
+    * current average speed.
+    * @param start Start time of the boat (Unix timestamp).
+    * @param at Finishing time or time of the last position report.
+    * @param dtf Remaining distance to finish in nm, 0 if finished.
+    * @param v_avg Average speed in knots.
+    * @param tcf Time correction factor.
+    * @return Returns an object {elapsed, corrected, projected} with the times
+    * in seconds, or undefined if the time cannot be calculated.
+    */
+   static corrected_time(start, at, dtf, v_avg, tcf)
+   {
+      if (start === undefined || at === undefined || at < start)
+         return undefined;
+
+      var elapsed = at - start;
+      var projected = dtf > 0;
+      if (projected)
+      {
+         if (!(v_avg > 0))
+            return undefined;
+         elapsed += dtf / v_avg * 3600;
+      }
+
+      return {elapsed: elapsed, corrected: elapsed * tcf, projected: projected};
+   }
+
+
+   /*! This function groups the teams into classes (divisions) according to
+    * their tags. The tag definitions are taken from the RaceSetup (setup.tags)
+    * or, if missing there, from the tag groups of the leaderboard. Teams
+    * without a known tag are collected in a class with id 0.
+    * @param setup The RaceSetup.
+    * @param board Optional leaderboard.
+    * @return Returns an array of classes {id, name, teams}, teams is an array
+    * of team ids. Classes without teams are omitted.
+    */
+   static classes(setup, board)
+   {
+      var tags = setup.tags !== undefined ? setup.tags : [];
+      if (!tags.length && board && board.tags)
+         tags = board.tags.filter(tag => tag.id !== undefined);
+
+      var cls = tags.map(tag => ({id: tag.id, name: tag.name !== undefined ? String(tag.name) : String(tag.id), sort: tag.sort, teams: []}));
+      cls.sort((a, b) => (a.sort !== undefined && b.sort !== undefined ? a.sort - b.sort : 0));
+      var other = {id: 0, name: "OTHER", teams: []};
+
+      for (var i = 0; i < setup.teams.length; i++)
+      {
+         var id = setup.teams[i].id;
+         var found = 0;
+         for (var j = 0; j < cls.length; j++)
+         {
+            var grp = board && board.tags ? board.tags.find(tag => tag.id == cls[j].id) : undefined;
+            if ((setup.teams[i].tags && setup.teams[i].tags.includes(cls[j].id)) || (grp && grp.teams && grp.teams.find(d => d.id == id)))
+            {
+               cls[j].teams.push(id);
+               found = 1;
+            }
+         }
+         if (!found)
+            other.teams.push(id);
+      }
+
+      cls.push(other);
+      return cls.filter(c => c.teams.length).map(c => ({id: c.id, name: c.name, teams: c.teams}));
+   }
+
+
+   /*! This function returns the index of the latest moment at or before the
+    * time t. The moments are ordered descendingly.
+    * @return Returns the index or moments.length if all moments are later
+    * than t.
+    */
+   static index_at(moments, t)
+   {
+      var lo = 0, hi = moments.length;
+
+      // binary search
+      while (lo < hi)
+      {
+         var mid = (lo + hi) >> 1;
+         if (moments[mid].at > t)
+            lo = mid + 1;
+         else
+            hi = mid;
+      }
+      return lo;
+   }
+
+
+   /*! This function linearly interpolates a position at time t between the
+    * two enclosing moments. Longitudes are interpolated across the date line.
+    * If t is after the latest moment, the latest moment is returned.
+    * @param moments Array of moments in descending time order.
+    * @param t Unix timestamp.
+    * @param keys Array of the names of the members to interpolate.
+    * @return Returns a new object with the interpolated values and at = t, or
+    * undefined if t is before the first moment.
+    */
+   static interpolate(moments, t, keys = ["lat", "lon"])
+   {
+      var i = RaceMath.index_at(moments, t);
+      var m = {at: t};
+
+      if (i >= moments.length)
+         return undefined;
+
+      if (!i)
+      {
+         for (var k = 0; k < keys.length; k++)
+            m[keys[k]] = moments[0][keys[k]];
+         return m;
+      }
+
+      var m0 = moments[i], m1 = moments[i - 1];
+      var f = m1.at > m0.at ? (t - m0.at) / (m1.at - m0.at) : 0;
+      for (var k = 0; k < keys.length; k++)
+      {
+         var d = m1[keys[k]] - m0[keys[k]];
+         if (keys[k] == "lon")
+            d = d > 180 ? d - 360 : d < -180 ? d + 360 : d;
+         m[keys[k]] = m0[keys[k]] + d * f;
+      }
+      if (m.lon !== undefined)
+         m.lon = m.lon > 180 ? m.lon - 360 : m.lon < -180 ? m.lon + 360 : m.lon;
+
+      return m;
+   }
+
+
+   /*! This function returns the average speed over the time window of the
+    * last t seconds of the track. calc_rolling() has to be called before for
+    * the time window t.
+    * @param moments Array of moments in descending time order.
+    * @param t Length of the time window in seconds.
+    * @return Returns the average speed in knots, or undefined if the track is
+    * shorter than t.
+    */
+   static window_speed(moments, t)
+   {
+      var d = moments.length ? RaceMath.dist_t(moments[0], t) : undefined;
+      return d !== undefined ? d.v_avg : undefined;
+   }
+
+
+   /*! This function estimates the time of arrival from the latest moment of a
+    * track. It is based on the average speeds of the last 24 hours and of the
+    * last 7 days (ETA_WINDOWS, see window_speed()), and on the overall VMG
+    * towards the finish, which is the change of the DTF (see calc_dtf()) since
+    * the first moment with calculated DTF (see has_dtf()).
+    * @param moments Array of moments in descending time order.
+    * @param dtf Current distance to finish in nautical miles, by default the
+    * calculated DTF of the latest moment.
+    * @return Returns an object {v24, v7d, vmg, t24, t7d, tvmg} with the
+    * speeds in knots and the estimated times of arrival as Unix timestamps.
+    * Speeds and times which cannot be calculated are undefined, there is no
+    * time for speeds below ETA_MIN_SPEED.
+    */
+   static eta(moments, dtf = RaceMath.has_dtf(moments[0]) ? moments[0].dtf : undefined)
+   {
+      var eta = {v24: RaceMath.window_speed(moments, RaceMath.ETA_WINDOWS[0]), v7d: RaceMath.window_speed(moments, RaceMath.ETA_WINDOWS[1])};
+
+      // oldest moment with a DTF
+      for (var i = moments.length - 1; i > 0 && !RaceMath.has_dtf(moments[i]); i--);
+      if (i > 0 && RaceMath.has_dtf(moments[0]) && moments[0].at > moments[i].at)
+         eta.vmg = (moments[i].dtf - moments[0].dtf) * 3600 / (moments[0].at - moments[i].at);
+
+      // rounding errors of the distances result in tiny speeds instead of 0
+      const arrival = v => dtf !== undefined && v >= RaceMath.ETA_MIN_SPEED ? moments[0].at + dtf * 3600 / v : undefined;
+      eta.t24 = arrival(eta.v24);
+      eta.t7d = arrival(eta.v7d);
+      eta.tvmg = arrival(eta.vmg);
+
+      return eta;
+   }
+
+
    /*! This function calculates of a is approximately b with a deviation of not
     * more than p percent. If p == 0, a and b must match exactly.
     */
@@ -266,6 +1029,188 @@ class RaceMath
          }
       }
    }
+
+
+   /*! Return the element of moment m with the distance over the time window
+    * t (see calc_tdist() and calc_rolling()), or undefined if there is none.
+    */
+   static dist_t(m, t)
+   {
+      return m.dist_t !== undefined ? m.dist_t.find(d => d.t_exp == t) : undefined;
+   }
+
+
+   /*! Calculate the distance sailed and the average speed over the rolling
+    * time window of t seconds which ends at each moment. Other than
+    * calc_tdist() the start of the window is interpolated (see
+    * interpolate()), thus every moment which is at least t seconds after the
+    * first moment gets a value. The results are stored in the same format as
+    * calc_tdist() does.
+    * @param moments Array of moments in descending time order with already
+    * calculated total distances (see calc_moments()).
+    * @param t Length of the time window in seconds.
+    */
+   static calc_rolling(moments, t)
+   {
+      for (var i = 0; i < moments.length; i++)
+      {
+         var d = RaceMath.dist_t(moments[i], t);
+         if (moments.length < 2 || moments[i].at - t < moments[moments.length - 1].at)
+         {
+            if (d !== undefined)
+               moments[i].dist_t.splice(moments[i].dist_t.indexOf(d), 1);
+            continue;
+         }
+
+         var m = RaceMath.interpolate(moments, moments[i].at - t, ["dist_tot"]);
+         if (d === undefined)
+         {
+            if (!moments[i].hasOwnProperty("dist_t"))
+               moments[i].dist_t = [];
+            moments[i].dist_t.push(d = {t_exp: t});
+         }
+         d.t = t;
+         d.dist = moments[i].dist_tot - m.dist_tot;
+         d.v_avg = d.dist * 3600 / t;
+      }
+   }
+
+
+   /*! Find the best run, which is the moment with the longest distance over
+    * the time window t (see calc_rolling()).
+    * @return Returns the index of the moment or -1 if there is none.
+    */
+   static best_run(moments, t)
+   {
+      var ix = -1, dist = -1;
+
+      for (var i = 0; i < moments.length; i++)
+      {
+         var d = RaceMath.dist_t(moments[i], t);
+         if (d !== undefined && d.dist > dist)
+         {
+            dist = d.dist;
+            ix = i;
+         }
+      }
+      return ix;
+   }
+
+
+   /*! This function finds the crossings of a track with a gate, which is the
+    * line segment between the positions a and b. The coordinates are treated
+    * as plane coordinates (lat/lon). Track segments are unwrapped across the
+    * date line and tested against the gate shifted by +/-360 degrees.
+    * @param moments Array of moments in descending time order.
+    * @param a First end of the gate {lat, lon}.
+    * @param b Second end of the gate {lat, lon}.
+    * @return Returns an array of crossings {i, at, lat, lon} in chronological
+    * order. The index i is the moment before the crossing, at is the
+    * interpolated time of the crossing and lat/lon its position.
+    */
+   static cross_gate(moments, a, b)
+   {
+      var cross = [];
+      var gx = b.lon - a.lon, gy = b.lat - a.lat;
+
+      for (var i = moments.length - 1; i > 0; i--)
+      {
+         var m0 = moments[i], m1 = moments[i - 1];
+         var dx = m1.lon - m0.lon, dy = m1.lat - m0.lat;
+         dx = dx > 180 ? dx - 360 : dx < -180 ? dx + 360 : dx;
+
+         var den = dx * gy - dy * gx;
+         // parallel or no movement
+         if (!den)
+            continue;
+
+         for (var s = -360; s <= 360; s += 360)
+         {
+            var ex = a.lon + s - m0.lon, ey = a.lat - m0.lat;
+            // fraction of the track segment (f) and of the gate (g)
+            var f = (ex * gy - ey * gx) / den;
+            var g = (ex * dy - ey * dx) / den;
+            if (f < 0 || f >= 1 || g < 0 || g > 1)
+               continue;
+
+            var lon = m0.lon + dx * f;
+            cross.push({i: i, at: m0.at + (m1.at - m0.at) * f, lat: m0.lat + dy * f, lon: lon > 180 ? lon - 360 : lon < -180 ? lon + 360 : lon});
+            break;
+         }
+      }
+      return cross;
+   }
+
+
+   /*! This function compares the track of a boat with the track of a
+    * reference boat. The boat is interpolated at the times of the moments of
+    * the reference (see interpolate()) within the time range of both tracks.
+    * @param moments Array of moments of the boat in descending time order.
+    * @param ref Array of moments of the reference boat.
+    * @return Returns an array of samples {at, ddtf, dist, bearing} in
+    * descending time order. ddtf is the distance gained on the reference,
+    * which is the DTF of the reference minus the DTF of the boat (positive if
+    * the boat is ahead), it is undefined if there is no DTF. dist is the
+    * separation in nautical miles, and bearing is the bearing of the boat
+    * relative to the course of the reference (-180 to 180 degrees, positive
+    * to starboard).
+    */
+   static compare(moments, ref)
+   {
+      var cmp = [];
+
+      for (var i = 0; moments.length && i < ref.length; i++)
+      {
+         var r = ref[i];
+         if (r.at > moments[0].at)
+            continue;
+
+         var m = RaceMath.interpolate(moments, r.at, ["lat", "lon", "dtf"]);
+         if (m === undefined)
+            break;
+
+         var d = {};
+         CMath.coord_diff0(r, m, d);
+         // course of the reference into this position, the 1st moment has none
+         var hdg = r.bearing !== undefined ? r.bearing : i > 0 && ref[i - 1].bearing !== undefined ? ref[i - 1].bearing : 0;
+         cmp.push({
+            at: r.at,
+            ddtf: r.dtf !== undefined && isFinite(m.dtf) ? r.dtf - m.dtf : undefined,
+            dist: d.dist,
+            bearing: RaceMath.diff_bearing(CMath.fmod2(d.bearing - hdg), 0)
+         });
+      }
+      return cmp;
+   }
+
+
+   /*! Find the period of at most t seconds in which a boat gained the most
+    * distance on the reference boat (see compare()).
+    * @param cmp Array of samples in descending time order (see compare()).
+    * @param t Length of the time window in seconds.
+    * @param sign Set to -1 to find the biggest loss instead of the gain.
+    * @return Returns an object {gain, t0, t1} with the gain in nautical miles
+    * (always positive) between the times t0 and t1, or undefined if there is
+    * no gain at all.
+    */
+   static best_gain(cmp, t, sign = 1)
+   {
+      var best;
+
+      for (var i = cmp.length - 1, j = cmp.length - 1; i >= 0; i--)
+      {
+         // oldest sample within the time window
+         while (j > i && cmp[j].at < cmp[i].at - t)
+            j--;
+         if (j == i || cmp[i].ddtf === undefined || cmp[j].ddtf === undefined)
+            continue;
+
+         var gain = sign * (cmp[i].ddtf - cmp[j].ddtf);
+         if (gain > 0 && (best === undefined || gain > best.gain))
+            best = {gain: gain, t0: cmp[j].at, t1: cmp[i].at};
+      }
+      return best;
+   }
 }
 
 // export module
@@ -0,0 +1,58 @@
+/*! This is the Node.js entry point of the library. The code in the directory
+ * html/ is written as plain browser scripts which share their functions and
+ * variables through the global scope. Thus, the files are loaded into a
+ * common (separate) context in the same order as in decyb.html and the public
+ * functions are exported from there.
+ *
+ * \file index.js
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const fs_ = require("fs");
+const path_ = require("path");
+const vm_ = require("vm");
+
+//! files to load, in this order
+const FILES = ["adams.js", "racemath.js", "decoder.js", "math.js", "projection.js"];
+
+//! exported names
+const EXPORTS =
+[
+   // decoder.js
+   "parse", "encode",
+   // racemath.js
+   "CMath", "RaceMath",
+   // math.js
+   "LAT", "LON", "MIN", "DEC", "coord_str", "dur_str", "time", "moments_until",
+   "display_string",
+   "calc_corrected", "cmp_corrected", "calc_eta", "eta_time", "date_str", "calc_rolling",
+   "DEFAULT_GATES", "add_mark", "gate_nodes", "calc_gates", "gate_time",
+   "SUN_ALTS", "sun_pos", "sun_hour_angle", "sun_day", "sun_next",
+   "team_laps", "team_course", "calc_laps", "team_lap", "lap_times", "missed_marks",
+   "rank_value", "calc_rankings",
+   "calc_team", "calc_data", "merge_moments",
+   "fleet_center", "link_board", "link_data", "calc_classes", "lonmod",
+   "transcoord", "trans_spilhaus", "coords_xy",
+   // adams.js
+   "adams_square_ii",
+   // projection.js
+   "Projection", "SpilhausProjection", "MercatorProjection",
+   "EquirectangularProjection", "OrthographicProjection", "LambertProjection",
+   "PROJECTIONS", "set_projection"
+];
+
+
+const ctx = vm_.createContext({console: console});
+for (const f of FILES)
+{
+   const fn = path_.join(__dirname, "html", f);
+   vm_.runInContext(fs_.readFileSync(fn, "utf8"), ctx, {filename: fn});
+}
+
+// const and class declarations are not properties of the context, thus the
+// exports are collected by evaluating them within the context
+module.exports = vm_.runInContext("({" + EXPORTS.join(", ") + "})", ctx);
+
+//! the current projection (see set_projection())
+Object.defineProperty(module.exports, "proj", {enumerable: true, get: () => ctx.proj_});
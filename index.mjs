@@ -0,0 +1,26 @@
+/*! This is the ES module entry point of the library for Node.js. It just
+ * re-exports the CommonJS module index.js. The named exports are generated by
+ * tools/esm.js.
+ *
+ * \file index.mjs
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+import lib from "./index.js";
+
+// the list is generated from EXPORTS of index.js by "npm run esm"
+export const {
+   parse, encode, CMath, RaceMath, LAT, LON, MIN, DEC, coord_str, dur_str, time,
+   moments_until, display_string, calc_corrected, cmp_corrected, calc_eta,
+   eta_time, date_str, calc_rolling, DEFAULT_GATES, add_mark, gate_nodes,
+   calc_gates, gate_time, SUN_ALTS, sun_pos, sun_hour_angle, sun_day, sun_next,
+   team_laps, team_course, calc_laps, team_lap, lap_times, missed_marks,
+   rank_value, calc_rankings, calc_team, calc_data, merge_moments, fleet_center,
+   link_board, link_data, calc_classes, lonmod, transcoord, trans_spilhaus,
+   coords_xy, adams_square_ii, Projection, SpilhausProjection,
+   MercatorProjection, EquirectangularProjection, OrthographicProjection,
+   LambertProjection, PROJECTIONS, set_projection
+} = lib;
+
+export default lib;
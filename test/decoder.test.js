@@ -0,0 +1,39 @@
+/*! Tests of the decoder and the encoder of the binary track data.
+ *
+ * \file decoder.test.js
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {parse, encode} = require("..");
+
+const BIN = fs.readFileSync(path.join(__dirname, "..", "cli", "data", "AllPositions3.bak"));
+
+
+test("encode() reproduces the data decoded by parse() byte by byte", () =>
+{
+   const data = parse(BIN);
+   assert.strictEqual(data.base, BIN.readUInt32BE(1));
+   assert.ok(Buffer.from(encode(data)).equals(BIN));
+});
+
+test("encode() without base time keeps the values", () =>
+{
+   // the base time is lost if the data is stored as JSON
+   const data = JSON.parse(JSON.stringify(parse(BIN)));
+   assert.strictEqual(data.base, undefined);
+   assert.deepStrictEqual(JSON.parse(JSON.stringify(parse(encode(data)))), data);
+});
+
+test("encode() ignores a base time which is later than the moments", () =>
+{
+   const data = [{id: 1, moments: [{lat: 1.5, lon: -2.25, at: 2000}, {lat: 1, lon: -2, at: 1000}]}];
+   data.base = 1500;
+   const bin = Buffer.from(encode(data));
+   assert.strictEqual(bin.readUInt32BE(1), 1000);
+   assert.deepStrictEqual(JSON.parse(JSON.stringify(parse(bin)[0].moments)), data[0].moments);
+});
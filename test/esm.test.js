@@ -0,0 +1,26 @@
+/*! Tests of the ES module exports, which are generated by tools/esm.js.
+ *
+ * \file esm.test.js
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const esm = require("../tools/esm.js");
+
+
+test("the lists of exports of the ES modules are up to date", () =>
+{
+   for (const f of esm.FILES)
+      assert.strictEqual(esm.generate(f), fs.readFileSync(path.join(__dirname, "..", f.file), "utf8"), f.file);
+});
+
+test("index.mjs exports the same names as index.js", async () =>
+{
+   const lib = await import("../index.mjs");
+   assert.deepStrictEqual(Object.keys(lib).filter(name => name != "default").sort(), esm.export_names().sort());
+   assert.strictEqual(lib.parse, require("..").parse);
+});
@@ -0,0 +1,105 @@
+/*! Tests of the downloader cli/src/getdata.js against a local HTTP server
+ * which serves the sample data of cli/data.
+ *
+ * \file getdata.test.js
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { getData, decodePositions } = require('../cli/src/getdata');
+
+const DATA = path.join(__dirname, '..', 'cli', 'data');
+const RACE = 'testrace';
+
+// files served by the stand-in of the YB server
+const FILES = {
+    [`/JSON/${RACE}/RaceSetup`]: 'RaceSetup.bak',
+    [`/JSON/${RACE}/leaderboard`]: 'leaderboard.bak',
+    [`/BIN/${RACE}/AllPositions3`]: 'AllPositions3.bak'
+};
+
+// Start an HTTP server on a free port. The function fail(url) may return an
+// HTTP status to answer with instead of the file. Resolves to the server.
+function startServer(fail = () => 0) {
+    const server = http.createServer((req, res) => {
+        server.requests.push(req.url);
+        const status = fail(req.url);
+        if (status || !FILES[req.url]) {
+            res.writeHead(status || 404);
+            res.end();
+            return;
+        }
+        res.writeHead(200);
+        res.end(fs.readFileSync(path.join(DATA, FILES[req.url])));
+    });
+    server.requests = [];
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function serverUrl(server) {
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+function tmpDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'getdata-'));
+}
+
+test('getData() downloads and decodes the race data', async (t) => {
+    const server = await startServer();
+    t.after(() => server.close());
+    const dir = tmpDir();
+    t.after(() => fs.rmSync(dir, { recursive: true }));
+
+    await getData(RACE, { server: serverUrl(server) + '/', dir: dir, retries: 0, delay: 0 });
+
+    for (const [name, file] of [['RaceSetup', 'RaceSetup.bak'], ['leaderboard', 'leaderboard.bak'], ['AllPositions3', 'AllPositions3.bak']]) {
+        assert.deepStrictEqual(fs.readFileSync(path.join(dir, name)), fs.readFileSync(path.join(DATA, file)), name);
+    }
+    const setup = JSON.parse(fs.readFileSync(path.join(DATA, 'RaceSetup.bak'), 'utf8'));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'RaceSetup.json'), 'utf8')), setup);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'AllPositions3.json'), 'utf8'),
+        decodePositions(fs.readFileSync(path.join(DATA, 'AllPositions3.bak'))));
+});
+
+test('getData() keeps existing files as backup', async (t) => {
+    const server = await startServer();
+    t.after(() => server.close());
+    const dir = tmpDir();
+    t.after(() => fs.rmSync(dir, { recursive: true }));
+    fs.writeFileSync(path.join(dir, 'RaceSetup.json'), 'old');
+
+    await getData(RACE, { server: serverUrl(server), dir: dir, retries: 0, delay: 0 });
+
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'RaceSetup.json.bak'), 'utf8'), 'old');
+});
+
+test('getData() retries server errors', async (t) => {
+    let failed = 0;
+    const server = await startServer(url => url.endsWith('/leaderboard') && !failed++ ? 503 : 0);
+    t.after(() => server.close());
+    const dir = tmpDir();
+    t.after(() => fs.rmSync(dir, { recursive: true }));
+
+    await getData(RACE, { server: serverUrl(server), dir: dir, retries: 1, delay: 0 });
+
+    assert.strictEqual(server.requests.filter(url => url.endsWith('/leaderboard')).length, 2);
+    assert.ok(fs.existsSync(path.join(dir, 'leaderboard.json')));
+});
+
+test('getData() fails on client errors and writes no files', async (t) => {
+    const server = await startServer(url => url.startsWith('/BIN/') ? 404 : 0);
+    t.after(() => server.close());
+    const dir = tmpDir();
+    t.after(() => fs.rmSync(dir, { recursive: true }));
+
+    await assert.rejects(getData(RACE, { server: serverUrl(server), dir: dir, retries: 3, delay: 0 }), /HTTP 404/);
+
+    assert.strictEqual(server.requests.filter(url => url.startsWith('/BIN/')).length, 1);
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
@@ -0,0 +1,73 @@
+/*! Tests of the GeoJSON converter cli/src/json2geojson.js.
+ *
+ * \file json2geojson.test.js
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { decodePositions } = require('../cli/src/getdata');
+const { generateGeoJSON, importGeoJSON } = require('../cli/src/json2geojson');
+
+const DATA = path.join(__dirname, '..', 'cli', 'data');
+
+// Read the sample data, the collection is passed through JSON as if it was
+// written to a file
+function sampleData() {
+    const positions = JSON.parse(decodePositions(fs.readFileSync(path.join(DATA, 'AllPositions3.bak'))));
+    const raceSetup = JSON.parse(fs.readFileSync(path.join(DATA, 'RaceSetup.bak'), 'utf8'));
+    const collection = JSON.parse(JSON.stringify(generateGeoJSON(positions, raceSetup)));
+    return { positions, raceSetup, collection };
+}
+
+test('importGeoJSON() restores the exported tracks and POIs', () => {
+    const { positions, raceSetup, collection } = sampleData();
+
+    const data = importGeoJSON(collection, {});
+
+    assert.deepStrictEqual(data.positions, positions);
+    raceSetup.teams.forEach(team => {
+        const t = data.raceSetup.teams.find(t => t.id == team.id);
+        ['name', 'owner', 'model', 'sail', 'status', 'colour'].forEach(key => assert.strictEqual(t[key], team[key], key));
+    });
+    assert.deepStrictEqual(data.raceSetup.poi.lines, raceSetup.poi.lines);
+});
+
+test('importGeoJSON() keeps the POIs if the collection contains none', () => {
+    const { raceSetup, collection } = sampleData();
+    const lines = JSON.parse(JSON.stringify(raceSetup.poi.lines));
+    collection.features = collection.features.filter(f => f.properties.kind === 'track');
+
+    const data = importGeoJSON(collection, raceSetup);
+
+    assert.deepStrictEqual(data.raceSetup.poi.lines, lines);
+});
+
+test('importGeoJSON() imports POIs without properties', () => {
+    const collection = {
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', properties: null, geometry: { type: 'Polygon', coordinates: [[[1, 2], [3, 2], [3, 4], [1, 2]]] } }]
+    };
+
+    const data = importGeoJSON(collection, { poi: { lines: [{ nodes: '0,0' }] } });
+
+    assert.deepStrictEqual(data.raceSetup.poi.lines, [{ colour: 'ff0000', nodes: '2,1,2,3,4,3', polygon: true, alpha: 0.1, name: '' }]);
+});
+
+test('importGeoJSON() restores small polygons exported as LineString', () => {
+    const lines = [{ name: 'Zone', colour: '00ff00', nodes: '1,2,3,4', polygon: true }];
+    const collection = JSON.parse(JSON.stringify(generateGeoJSON([], { poi: { lines: lines } })));
+    const poi = collection.features.find(f => f.properties.kind === 'poi');
+    assert.strictEqual(poi.geometry.type, 'LineString');
+
+    let data = importGeoJSON(collection, {});
+    assert.deepStrictEqual(data.raceSetup.poi.lines.map(l => [l.nodes, l.polygon]), [['1,2,3,4', true]]);
+
+    // a closed line, e.g. edited by hand, is not closed twice
+    poi.geometry.coordinates.push(poi.geometry.coordinates[0]);
+    data = importGeoJSON(collection, {});
+    assert.deepStrictEqual(data.raceSetup.poi.lines.map(l => [l.nodes, l.polygon]), [['1,2,3,4', true]]);
+});
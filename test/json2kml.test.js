@@ -0,0 +1,79 @@
+/*! Tests of the KML converter cli/src/json2kml.js.
+ *
+ * \file json2kml.test.js
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { generateKML, zip, crc32 } = require('../cli/src/json2kml');
+
+// Return the files [{name, data, date}] of a ZIP archive created by zip()
+function unzip(buf) {
+    const files = [];
+    let p = 0;
+    while (buf.readUInt32LE(p) === 0x04034b50) {
+        const size = buf.readUInt32LE(p + 18);
+        const nameLength = buf.readUInt16LE(p + 26);
+        const start = p + 30 + nameLength + buf.readUInt16LE(p + 28);
+        const raw = buf.subarray(start, start + size);
+        const data = buf.readUInt16LE(p + 8) === 8 ? zlib.inflateRawSync(raw) : raw;
+        assert.strictEqual(crc32(data), buf.readUInt32LE(p + 14));
+        files.push({
+            name: buf.toString('utf8', p + 30, p + 30 + nameLength),
+            data: data,
+            date: buf.readUInt16LE(p + 12)
+        });
+        p = start + size;
+    }
+    return files;
+}
+
+test('generateKML() accepts numeric names', () => {
+    const positions = [{ id: 1, moments: [{ lat: 1, lon: 1, at: 2000 }, { lat: -1, lon: 1, at: 1000 }] }];
+    const raceSetup = {
+        teams: [{ id: 1, name: 42 }],
+        course: { nodes: [{ lat: -1, lon: 0 }, { lat: 0, lon: 0, name: 3, rounding: 'port' }, { lat: 1, lon: 0 }] },
+        gates: [{ name: 0, nodes: '0,0,0,2' }],
+        poi: { lines: [{ name: 7, colour: '00ff00', nodes: '1,2' }, { colour: '00ff00', nodes: '1,3' }] }
+    };
+
+    const kml = generateKML(positions, raceSetup);
+    assert.match(kml, /<name>42<\/name>/);
+    assert.match(kml, /<name>7<\/name>/);
+    // the passing of the gate
+    assert.match(kml, /<name>0<\/name>\s*<description>42, /);
+});
+
+test('zip() writes a KMZ file with a gx:Track for each boat', () => {
+    const positions = [
+        { id: 1, moments: [{ lat: 1, lon: 1, at: 3000 }, { lat: 0.5, lon: 1, at: 2000 }, { lat: -1, lon: 1, at: 1000 }] },
+        { id: 2, moments: [{ lat: -1, lon: 1.5, at: 1000 }, { lat: 1, lon: 1.5, at: 2000 }] }
+    ];
+    const raceSetup = {
+        teams: [{ id: 1, name: 'One' }, { id: 2, name: 'Two' }],
+        gates: [{ name: 'Gate', nodes: '0,0,0,2' }]
+    };
+
+    const kml = generateKML(positions, raceSetup);
+    const files = unzip(zip([{ name: 'doc.kml', data: kml }]));
+    assert.strictEqual(files.length, 1);
+    assert.strictEqual(files[0].name, 'doc.kml');
+    assert.strictEqual(files[0].data.toString('utf8'), kml);
+    // MS-DOS date: years since 1980 in the upper 7 bits
+    assert.strictEqual((files[0].date >> 9) + 1980, new Date().getFullYear());
+
+    const tracks = kml.match(/<styleUrl>#boat-\d+<\/styleUrl>\s*<gx:Track>[^]*?<\/gx:Track>/g);
+    assert.strictEqual(tracks.length, positions.length);
+    positions.forEach((boat, i) => {
+        assert.match(tracks[i], new RegExp(`#boat-${boat.id}<`));
+        assert.strictEqual(tracks[i].match(/<when>/g).length, boat.moments.length);
+        assert.strictEqual(tracks[i].match(/<gx:coord>/g).length, boat.moments.length);
+    });
+    // each boat passes the gate once
+    for (const name of ['One', 'Two']) {
+        assert.strictEqual(kml.match(new RegExp(`<name>Gate</name>\\s*<description>${name}, `, 'g')).length, 1);
+    }
+});
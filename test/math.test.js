@@ -0,0 +1,77 @@
+/*! Tests of the calculations of math.js.
+ *
+ * \file math.test.js
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const decyb = require("..");
+
+const {LAT, LON, MIN, DEC, coord_str, calc_team} = decyb;
+
+
+test("coord_str() formats latitudes and longitudes", () =>
+{
+   assert.strictEqual(coord_str(12.5, LAT | MIN | DEC), "12° 30.0N");
+   assert.strictEqual(coord_str(-5.25, LAT | MIN | DEC), "05° 15.0S");
+   assert.strictEqual(coord_str(12.5, LON | MIN | DEC), "012° 30.0E");
+   assert.strictEqual(coord_str(-123.75, LON | MIN), "123° 45W");
+});
+
+test("calc_team() moves the marks of the roundings", () =>
+{
+   const course = [{lat: 0, lon: 0}, {lat: 0, lon: 1, rounding: "port", name: "A"}, {lat: 1, lon: 1}, {lat: 2, lon: 1}];
+   const team = {id: 1, name: "Test", status: "RACING", start: 0, data: {moments: []}};
+   const setup = {course: {nodes: course}, teams: [team], gates: []};
+   const marked = () => team.data.moments.filter(m => m.marks !== undefined).map(m => [m.lat, m.lon, m.marks.join()]);
+   decyb.RaceMath.calc_course(course);
+
+   const pos = [[0, 0], [0, 0.5], [-0.1, 1.3], [0.5, 1.3], [1, 1.1]];
+   team.data.moments = pos.map((p, i) => ({lat: p[0], lon: p[1], at: 1000 + i * 3600})).reverse();
+   calc_team(team, setup);
+   assert.deepStrictEqual(marked(), [[0, 0.5, "A"]]);
+
+   // the positions change, e.g. by a different cleaning, and the mark is rounded later
+   const pos2 = [[0, 0], [0, 0.5], [0, 0.8], [-0.1, 1.3], [0.5, 1.3], [1, 1.1]];
+   team.data.moments.unshift({at: team.data.moments[0].at + 3600});
+   team.data.moments.forEach((m, i) => [m.lat, m.lon] = pos2[pos2.length - 1 - i]);
+   calc_team(team, setup);
+   assert.deepStrictEqual(marked(), [[0, 0.8, "A"]]);
+});
+
+test("rank_value() projects the corrected time with the average speed", () =>
+{
+   // the boat did not move during the last leg
+   const moments = [{lat: 0, lon: 0, at: 7200}, {lat: 0, lon: 0, at: 3600}, {lat: 0, lon: -1, at: 0}];
+   const team = {id: 1, name: "Test", status: "RACING", start: 0, tcf1: 0.9, data: {moments: moments}};
+   const setup = {start: 0, course: {nodes: [{lat: 0, lon: -1}, {lat: 0, lon: 1}, {lat: 0, lon: 2}]}, teams: [team], gates: []};
+   decyb.RaceMath.calc_course(setup.course.nodes);
+   calc_team(team, setup);
+   assert.strictEqual(moments[0].v_avg, 0);
+
+   const v = decyb.rank_value(team, setup, 7200, true, 1);
+   assert.ok(isFinite(v));
+   // the same as the corrected time of the leaderboard
+   assert.ok(Math.abs(v - team.hc.corrected) < 1e-6);
+});
+
+test("calc_team() counts the new moments after the cleaning", () =>
+{
+   const pos = [[0, 0], [0, 0.1], [0, 0.2], [0, 0.3]];
+   const moments = pos.map((p, i) => ({lat: p[0], lon: p[1], at: 1000 + i * 3600})).reverse();
+   const team = {id: 1, name: "Test", status: "RACING", start: 0, data: {moments: moments}};
+   const setup = {course: {nodes: []}, teams: [team], gates: []};
+   calc_team(team, setup);
+
+   // 2 new moments, and the oldest one is before the (corrected) start
+   moments.unshift({lat: 0, lon: 0.5, at: moments[0].at + 7200}, {lat: 0, lon: 0.4, at: moments[0].at + 3600});
+   team.start = 2000;
+   calc_team(team, setup, 1, 2);
+
+   assert.strictEqual(moments.length, 5);
+   assert.ok(moments[0].dist_tot > moments[1].dist_tot);
+   assert.ok(moments[1].dist_tot > moments[2].dist_tot);
+   assert.ok(Math.abs(moments[0].dist_tot - moments[2].dist_tot - 12) < 0.1);
+});
@@ -0,0 +1,163 @@
+/*! Tests of the race calculations of racemath.js.
+ *
+ * \file racemath.test.js
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {RaceMath} = require("..");
+
+
+/*! Return a copy of v with plain objects and arrays. The library runs in a
+ * separate context, thus its objects have different prototypes.
+ */
+function plain(v)
+{
+   return JSON.parse(JSON.stringify(v));
+}
+
+
+/*! Return moments in descending time order, one per hour, at the latitudes
+ * lat and longitude 0.
+ */
+function track(lat)
+{
+   return lat.map((l, i) => ({lat: l, lon: 0, at: (lat.length - i) * 3600}));
+}
+
+
+test("smooth_median() does not extend the window across gaps", () =>
+{
+   // the gap is between the moments 1 and 2
+   const moments = track([100, 100, 0, 10, 10]);
+   moments[1].gap = 1;
+   RaceMath.smooth_median(moments, 3);
+   assert.deepStrictEqual(moments.map(m => m.lat), [100, 100, 5, 10, 10]);
+   // the original positions are kept
+   assert.deepStrictEqual(moments.map(m => m.raw.lat), [100, 100, 0, 10, 10]);
+});
+
+test("unroll_course() repeats the lap", () =>
+{
+   const node = (lat, lon) => ({lat: lat, lon: lon});
+
+   // closed lap, the last node equals the first one of the lap
+   var c = RaceMath.unroll_course([node(0, 0), node(0, 1), node(1, 1), node(0, 0)], 2);
+   assert.deepStrictEqual(c.map(n => [n.lat, n.lon, n.lap]),
+      [[0, 0, 1], [0, 1, 1], [1, 1, 1], [0, 0, 1], [0, 1, 2], [1, 1, 2], [0, 0, 2]]);
+
+   // open lap after a start leg
+   c = RaceMath.unroll_course([node(0, 0), node(0, 1), node(1, 1)], 3, 1);
+   assert.deepStrictEqual(c.map(n => [n.lat, n.lon, n.lap]),
+      [[0, 0, 1], [0, 1, 1], [1, 1, 1], [0, 1, 2], [1, 1, 2], [0, 1, 3], [1, 1, 3]]);
+
+   // invalid index of the lap
+   assert.strictEqual(RaceMath.unroll_course([node(0, 0), node(0, 1)], 2, 1).length, 2);
+});
+
+test("lap_starts() uses the lap numbers of the moments", () =>
+{
+   const moments = [0, 1, 1, 2, 2, 3].map((lap, i) => ({lat: 0, lon: 0, at: i * 100, lap: lap})).reverse();
+   // the change from lap 0 to 1 is the start of the race
+   assert.deepStrictEqual(plain(RaceMath.lap_starts(moments, [])), [{lap: 2, at: 300}, {lap: 3, at: 500}]);
+});
+
+test("lap_starts() interpolates the lap starts from the DMG", () =>
+{
+   const course = [{lap: 1, dist_tot: 0}, {lap: 1, dist_tot: 10}, {lap: 2, dist_tot: 20}, {lap: 2, dist_tot: 30}];
+   const moments = [{at: 300, dmg: 25}, {at: 200, dmg: 12}, {at: 100, dmg: 8}];
+   assert.deepStrictEqual(plain(RaceMath.lap_starts(moments, course)), [{lap: 2, at: 150}]);
+});
+
+test("calc_dtf() matches moments only to the course of their lap", () =>
+{
+   // circular lap of 12 legs
+   var lap = [];
+   for (var k = 0; k <= 12; k++)
+      lap.push({lat: +Math.sin(k * Math.PI / 6).toFixed(6), lon: +(1 - Math.cos(k * Math.PI / 6)).toFixed(6)});
+   const course = RaceMath.unroll_course(lap, 2);
+   const len = RaceMath.calc_course(course);
+
+   const moments = [{lat: 0.2, lon: 0.01, at: 200, lap: 2}, {lat: 0.2, lon: 0.01, at: 100, lap: 1}];
+   RaceMath.calc_dtf(moments, course);
+   assert.ok(moments[1].dmg < len / 2 / 12);
+   assert.ok(Math.abs(moments[0].dmg - moments[1].dmg - len / 2) < 1e-6);
+   assert.ok(Math.abs(moments[0].dtf + moments[0].dmg - len) < 1e-6);
+});
+
+/*! Return a course with the mark A at index 1 which is left to port.
+ */
+function mark_course()
+{
+   const course = [{lat: 0, lon: 0}, {lat: 0, lon: 1, rounding: "port", name: "A"}, {lat: 1, lon: 1}, {lat: 2, lon: 1}];
+   RaceMath.calc_course(course);
+   return course;
+}
+
+
+/*! Return moments in descending time order, one per hour, at the positions
+ * pos [[lat, lon], ...] given in ascending time order.
+ */
+function positions(pos)
+{
+   return pos.map((p, i) => ({lat: p[0], lon: p[1], at: 1000 + i * 3600})).reverse();
+}
+
+
+test("calc_roundings() detects the rounding of a mark", () =>
+{
+   const moments = positions([[0, 0], [0, 0.5], [-0.1, 1.3], [0.5, 1.3], [1, 1.1]]);
+   const r = RaceMath.calc_roundings(moments, mark_course());
+
+   assert.strictEqual(r.length, 1);
+   assert.strictEqual(r[0].name, "A");
+   assert.strictEqual(r[0].side, "port");
+   assert.strictEqual(r[0].missed, undefined);
+   // between the 2nd and the 3rd position
+   assert.strictEqual(r[0].i, 3);
+   assert.ok(r[0].at > moments[3].at && r[0].at < moments[2].at);
+});
+
+test("calc_roundings() flags missed marks", () =>
+{
+   // the mark is left to starboard
+   const moments = positions([[0, 0], [0, 0.5], [0.5, 0.9], [1, 1]]);
+   const course = mark_course();
+
+   var r = RaceMath.calc_roundings(moments, course);
+   assert.strictEqual(r[0].at, undefined);
+   assert.strictEqual(r[0].missed, undefined);
+
+   r = RaceMath.calc_roundings(moments, course, moments[0].at);
+   assert.strictEqual(r[0].at, undefined);
+   assert.strictEqual(r[0].missed, true);
+});
+
+test("calc_dtf() follows the remaining legs", () =>
+{
+   const course = mark_course();
+   // the boat cuts the corner towards the node after the mark
+   const moments = positions([[0, 0], [0.5, 0.5]]);
+   const r = RaceMath.calc_roundings(moments, course);
+
+   RaceMath.calc_dtf(moments, course);
+   const dmg = moments[0].dmg;
+   RaceMath.calc_dtf(moments, course, r);
+   // the DTF is measured via the mark which is not rounded yet
+   assert.ok(moments[0].dmg < course[1].dist_tot);
+   assert.ok(dmg > course[1].dist_tot);
+   assert.ok(Math.abs(moments[0].dtf + moments[0].dmg - course[3].dist_tot) < 1e-6);
+});
+
+test("eta() gives no arrival for boats which are not moving", () =>
+{
+   // the boat moves by a rounding error only
+   const moments = track([0, 1e-12].concat(new Array(28).fill(0)));
+   RaceMath.calc_moments(moments, 0);
+   RaceMath.calc_rolling(moments, RaceMath.ETA_WINDOWS[0]);
+   const eta = RaceMath.eta(moments, 100);
+   assert.ok(eta.v24 > 0);
+   assert.strictEqual(eta.t24, undefined);
+});
@@ -0,0 +1,77 @@
+/*! Tests of the local race server cli/src/raceserver.js with the sample data
+ * of cli/data.
+ *
+ * \file raceserver.test.js
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parse } = require('..');
+const { createServer } = require('../cli/src/raceserver');
+
+const DATA = path.join(__dirname, '..', 'cli', 'data');
+const RACE = 'testrace';
+
+// Create a data directory with a subdirectory for the race which contains
+// the track data only in JSON format
+function raceDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'raceserver-'));
+    const rdir = path.join(dir, RACE);
+    fs.mkdirSync(rdir);
+    fs.copyFileSync(path.join(DATA, 'RaceSetup.bak'), path.join(rdir, 'RaceSetup.json'));
+    fs.writeFileSync(path.join(rdir, 'AllPositions3.json'),
+        JSON.stringify(parse(fs.readFileSync(path.join(DATA, 'AllPositions3.bak')))));
+    return dir;
+}
+
+// Start the race server for the directory on a free port. Resolves to the
+// base URL of the server.
+async function startServer(t, dir) {
+    t.mock.method(console, 'log', () => {});
+    const server = createServer(dir);
+    t.after(() => server.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('raceserver serves the RaceSetup', async (t) => {
+    const dir = raceDir();
+    t.after(() => fs.rmSync(dir, { recursive: true }));
+    const url = await startServer(t, dir);
+
+    const res = await fetch(`${url}/JSON/${RACE}/RaceSetup`);
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'application/json');
+    assert.deepStrictEqual(await res.json(), JSON.parse(fs.readFileSync(path.join(DATA, 'RaceSetup.bak'), 'utf8')));
+});
+
+test('raceserver encodes the JSON track data to the binary format', async (t) => {
+    const dir = raceDir();
+    t.after(() => fs.rmSync(dir, { recursive: true }));
+    const url = await startServer(t, dir);
+
+    const res = await fetch(`${url}/BIN/${RACE}/AllPositions3`);
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'application/octet-stream');
+    const data = parse(Buffer.from(await res.arrayBuffer()));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(data)),
+        JSON.parse(fs.readFileSync(path.join(dir, RACE, 'AllPositions3.json'), 'utf8')));
+});
+
+test('raceserver answers 404 for an unknown race', async (t) => {
+    const dir = raceDir();
+    t.after(() => fs.rmSync(dir, { recursive: true }));
+    const url = await startServer(t, dir);
+
+    for (const route of ['JSON/unknown/RaceSetup', 'BIN/unknown/AllPositions3']) {
+        const res = await fetch(`${url}/${route}`);
+        assert.strictEqual(res.status, 404, route);
+    }
+});
@@ -0,0 +1,107 @@
+/*! This script generates the named exports of the ES modules index.mjs and
+ * html/decyb.mjs from the exports of the CommonJS module index.js. Thus, the
+ * list EXPORTS of index.js is the only list of exported names. Run it after
+ * changing EXPORTS with "npm run esm". With the option --check it does not
+ * write the files but fails if they are not up to date.
+ *
+ * \file esm.js
+ * \author Based on decyb project by Bernhard R. Fischer
+ * \date 2025/08/04
+ */
+
+const fs_ = require("fs");
+const path_ = require("path");
+
+const ROOT = path_.join(__dirname, "..");
+//! max. length of the lines of the generated lists
+const LINE_LEN = 80;
+//! files and the lists within them which are generated
+const FILES =
+[
+   {file: "index.mjs", lists: [/(export const \{\n)[^}]*(\n\} = lib;)/]},
+   {file: "html/decyb.mjs", lists: [/(\(0, eval\)\(`\(\{\n)[^}]*(\n\}\)`\);)/, /(export const \{\n)[^}]*(\n\} = lib;)/]}
+];
+
+
+/*! This function returns the names of the exports of index.js. Accessors
+ * like proj cannot be exported as constants and are left out.
+ */
+function export_names()
+{
+   const lib = require(ROOT);
+   return Object.keys(lib).filter(name => Object.getOwnPropertyDescriptor(lib, name).get === undefined);
+}
+
+
+/*! This function formats the names as comma separated list with 3 spaces
+ * indentation and a line length of at most LINE_LEN characters.
+ */
+function format_names(names)
+{
+   var lines = [], line = "";
+
+   for (var i = 0; i < names.length; i++)
+   {
+      var s = names[i] + (i < names.length - 1 ? "," : "");
+      if (line.length && line.length + 1 + s.length > LINE_LEN)
+      {
+         lines.push(line);
+         line = "";
+      }
+      line += (line.length ? " " : "   ") + s;
+   }
+   lines.push(line);
+   return lines.join("\n");
+}
+
+
+/*! This function returns the content of the file f of FILES with the lists
+ * replaced by the names of the exports.
+ */
+function generate(f)
+{
+   var src = fs_.readFileSync(path_.join(ROOT, f.file), "utf8");
+   const list = format_names(export_names());
+
+   for (const re of f.lists)
+   {
+      if (!re.test(src))
+         throw new Error("list of exports not found in " + f.file);
+      src = src.replace(re, (all, head, tail) => head + list + tail);
+   }
+   return src;
+}
+
+
+function main()
+{
+   const check = process.argv.includes("--check");
+   var stale = 0;
+
+   for (const f of FILES)
+   {
+      const src = generate(f);
+      if (src == fs_.readFileSync(path_.join(ROOT, f.file), "utf8"))
+         continue;
+
+      if (check)
+      {
+         console.error(f.file + " is not up to date, run \"npm run esm\"");
+         stale++;
+      }
+      else
+      {
+         fs_.writeFileSync(path_.join(ROOT, f.file), src);
+         console.log("updated " + f.file);
+      }
+   }
+
+   if (stale)
+      process.exit(1);
+}
+
+
+if (require.main === module)
+   main();
+
+module.exports = {FILES, export_names, generate};